@@ -0,0 +1,567 @@
+/**
+ * Annotations.js - Pins, drawn regions and point comments, saved per dataset
+ *
+ * Annotations are kept in original data units:
+ *   {id, type: 'pin', x, y, text}
+ *   {id, type: 'rect' | 'polygon', points: [[x, y], ...], text}
+ *   {id, type: 'comment', pointId, text}
+ * Each dataset's annotations live in localStorage and can be exported and
+ * imported as JSON to share them.
+ */
+
+class AnnotationManager {
+    constructor() {
+        this.panel = document.getElementById('annotation-panel');
+        this.toolButtons = this.panel.querySelectorAll('[data-tool]');
+        this.listEl = document.getElementById('annotation-list');
+        this.importBtn = document.getElementById('annotation-import');
+        this.importInput = document.getElementById('annotation-import-file');
+        this.exportBtn = document.getElementById('annotation-export');
+        this.statusEl = document.getElementById('annotation-status');
+
+        this.STORAGE_PREFIX = 'embeddingMap.annotations.';
+        this.FORMAT_VERSION = 1;
+        this.COLOR = '#f472b6';
+        this.CLOSE_DISTANCE = 10; // Clicking this close (px) to the first corner closes a polygon
+        this.MIN_RECT_SIZE = 4; // Smaller drags (px) don't make a rectangle
+        this.ICONS = { pin: '📍', rect: '▭', polygon: '⬠', comment: '💬' };
+
+        this.enabled = false;
+        this.datasetId = null;
+        this.annotations = [];
+
+        // Drawing state, in original data units
+        this.tool = null; // 'pin' | 'rect' | 'polygon'
+        this.draft = null; // Shape being drawn: {type, points}
+        this.pointer = null;
+
+        this.onChange = null;
+        this.onToolChange = null; // (active) drawing started or stopped
+        this.onFocus = null; // (annotation) picked from the list
+
+        this.init();
+    }
+
+    init() {
+        this.toolButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setTool(this.tool === button.dataset.tool ? null : button.dataset.tool);
+            });
+        });
+
+        this.listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.annotation-item');
+            if (!item) return;
+
+            if (e.target.closest('.annotation-delete')) {
+                this.remove(item.dataset.id);
+            } else if (!e.target.closest('.annotation-text') && this.onFocus) {
+                this.onFocus(this.get(item.dataset.id));
+            }
+        });
+
+        this.listEl.addEventListener('input', (e) => {
+            const item = e.target.closest('.annotation-item');
+            if (item && e.target.matches('.annotation-text')) {
+                this.update(item.dataset.id, e.target.value);
+            }
+        });
+
+        this.importBtn.addEventListener('click', () => {
+            this.importInput.click();
+        });
+
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) {
+                this.importFile(file);
+            }
+        });
+
+        this.exportBtn.addEventListener('click', () => {
+            this.exportJSON();
+        });
+
+        // Enter finishes a polygon, Escape drops whatever is being drawn
+        document.addEventListener('keydown', (e) => {
+            if (this.tool === null || e.target.matches('input, textarea')) return;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.setTool(null);
+            } else if (e.key === 'Enter' && this.draft && this.draft.type === 'polygon') {
+                e.preventDefault();
+                this.finishPolygon();
+            }
+        });
+    }
+
+    // Switch to another dataset's saved annotations
+    setDataset(id) {
+        this.setTool(null);
+        this.datasetId = id;
+        this.annotations = this.load();
+        this.setStatus('');
+        this.changed(false);
+    }
+
+    get(id) {
+        return this.annotations.find(annotation => annotation.id === id) || null;
+    }
+
+    getComments(pointId) {
+        return this.annotations.filter(annotation => annotation.type === 'comment' && annotation.pointId === pointId);
+    }
+
+    add(annotation) {
+        this.annotations.push({ id: this.createId(), text: '', ...annotation });
+        this.changed();
+        return this.annotations[this.annotations.length - 1];
+    }
+
+    addComment(pointId, text) {
+        return this.add({ type: 'comment', pointId, text });
+    }
+
+    update(id, text) {
+        const annotation = this.get(id);
+        if (!annotation) return;
+
+        annotation.text = text;
+        this.save();
+
+        // The list is being typed into, so only the dependents are refreshed
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    remove(id) {
+        this.annotations = this.annotations.filter(annotation => annotation.id !== id);
+        this.changed();
+    }
+
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    changed(save = true) {
+        if (save) {
+            this.save();
+        }
+        this.renderList();
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // Drawing tools
+
+    setTool(tool) {
+        this.tool = tool;
+        this.draft = null;
+        this.pointer = null;
+
+        this.toolButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+
+        if (this.onToolChange) {
+            this.onToolChange(tool !== null);
+        }
+    }
+
+    toData(world, map) {
+        return { x: world.x / map.SCALE_FACTOR, y: world.y / map.SCALE_FACTOR };
+    }
+
+    onPointerDown(world, map) {
+        this.pointer = this.toData(world, map);
+
+        if (this.tool === 'rect') {
+            this.draft = { type: 'rect', points: [this.pointer, this.pointer] };
+        }
+    }
+
+    onPointerMove(world, map, pressed) {
+        this.pointer = this.toData(world, map);
+
+        if (pressed && this.draft && this.draft.type === 'rect') {
+            this.draft.points[1] = this.pointer;
+        }
+    }
+
+    onPointerUp(world, map) {
+        if (world) {
+            this.pointer = this.toData(world, map);
+        }
+        if (!this.pointer) return;
+
+        if (this.tool === 'pin') {
+            this.finish({ type: 'pin', x: this.pointer.x, y: this.pointer.y });
+        } else if (this.tool === 'rect') {
+            this.finishRect(map);
+        } else if (this.tool === 'polygon') {
+            this.extendPolygon(map);
+        }
+    }
+
+    finishRect(map) {
+        if (!this.draft) return;
+
+        const [a, b] = this.draft.points;
+        const minSize = this.MIN_RECT_SIZE / (map.camera.zoom * map.SCALE_FACTOR);
+        if (Math.abs(b.x - a.x) < minSize || Math.abs(b.y - a.y) < minSize) {
+            this.draft = null;
+            return;
+        }
+
+        this.finish({
+            type: 'rect',
+            points: [[a.x, a.y], [b.x, a.y], [b.x, b.y], [a.x, b.y]]
+        });
+    }
+
+    extendPolygon(map) {
+        if (!this.draft) {
+            this.draft = { type: 'polygon', points: [this.pointer] };
+            return;
+        }
+
+        const first = this.draft.points[0];
+        const distance = Math.hypot(this.pointer.x - first.x, this.pointer.y - first.y) * map.camera.zoom * map.SCALE_FACTOR;
+
+        if (distance <= this.CLOSE_DISTANCE && this.draft.points.length >= 3) {
+            this.finishPolygon();
+        } else {
+            this.draft.points.push(this.pointer);
+        }
+    }
+
+    finishPolygon() {
+        if (this.draft.points.length < 3) return;
+
+        this.finish({
+            type: 'polygon',
+            points: this.draft.points.map(p => [p.x, p.y])
+        });
+    }
+
+    // Save the drawn shape and put the cursor in its note
+    finish(annotation) {
+        const added = this.add(annotation);
+        this.setTool(null);
+
+        const input = this.listEl.querySelector(`.annotation-item[data-id="${added.id}"] .annotation-text`);
+        if (input) {
+            input.focus();
+        }
+    }
+
+    // Persistence
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_PREFIX + this.datasetId));
+            return Array.isArray(stored) ? stored.map(entry => this.normalize(entry)).filter(Boolean) : [];
+        } catch (error) {
+            return []; // Unavailable storage or a damaged entry
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_PREFIX + this.datasetId, JSON.stringify(this.annotations));
+        } catch (error) {
+            this.setStatus('Could not save annotations in this browser', true);
+        }
+    }
+
+    // A clean copy of a stored or imported annotation, or null if it isn't valid
+    normalize(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+
+        const base = {
+            id: typeof entry.id === 'string' && /^[\w-]{1,64}$/.test(entry.id) ? entry.id : this.createId(),
+            type: entry.type,
+            text: typeof entry.text === 'string' ? entry.text : ''
+        };
+        const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+        switch (entry.type) {
+            case 'pin':
+                return isCoordinate(entry.x) && isCoordinate(entry.y) ? { ...base, x: entry.x, y: entry.y } : null;
+
+            case 'rect':
+            case 'polygon': {
+                const points = Array.isArray(entry.points) ? entry.points : [];
+                const valid = points.length >= 3 &&
+                    points.every(p => Array.isArray(p) && isCoordinate(p[0]) && isCoordinate(p[1]));
+                return valid ? { ...base, points: points.map(p => [p[0], p[1]]) } : null;
+            }
+
+            case 'comment':
+                return Number.isInteger(entry.pointId) ? { ...base, pointId: entry.pointId } : null;
+
+            default:
+                return null;
+        }
+    }
+
+    exportJSON() {
+        const data = {
+            version: this.FORMAT_VERSION,
+            dataset: this.datasetId,
+            exported: new Date().toISOString(),
+            annotations: this.annotations
+        };
+
+        const slug = String(this.datasetId).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'map';
+        this.download(JSON.stringify(data, null, 2), 'application/json', `annotations-${slug}.json`);
+    }
+
+    async importFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.setStatus(`${file.name} is not valid JSON`, true);
+            return;
+        }
+
+        const entries = Array.isArray(data) ? data : (data && data.annotations);
+        if (!Array.isArray(entries)) {
+            this.setStatus(`${file.name} has no annotations`, true);
+            return;
+        }
+
+        // Entries already here (same id) are skipped, so importing twice is harmless
+        const existing = new Set(this.annotations.map(annotation => annotation.id));
+        const imported = entries.map(entry => this.normalize(entry)).filter(entry => entry && !existing.has(entry.id));
+        const skipped = entries.length - imported.length;
+
+        this.annotations.push(...imported);
+        this.changed();
+
+        let message = `Imported ${imported.length} annotation${imported.length === 1 ? '' : 's'}`;
+        if (skipped > 0) message += `, skipped ${skipped}`;
+        if (data.dataset && data.dataset !== this.datasetId) message += ` (exported from ${data.dataset})`;
+        this.setStatus(message);
+    }
+
+    download(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Panel
+
+    renderList() {
+        if (this.annotations.length === 0) {
+            this.listEl.innerHTML = '<div class="annotation-empty">No annotations yet</div>';
+            return;
+        }
+
+        this.listEl.replaceChildren(...this.annotations.map(annotation => {
+            const item = document.createElement('div');
+            item.className = 'annotation-item';
+            item.dataset.id = annotation.id;
+            item.title = 'Show on the map';
+            item.innerHTML = `
+                <span class="annotation-icon">${this.ICONS[annotation.type]}</span>
+                <input type="text" class="annotation-text">
+                <button class="annotation-delete" title="Delete">×</button>
+            `;
+
+            // Ids and notes can come from imported files, so they're set as properties rather than markup
+            const input = item.querySelector('.annotation-text');
+            input.placeholder = annotation.type === 'comment' ? `Comment on #${annotation.pointId}` : 'Add a note…';
+            input.value = annotation.text;
+
+            return item;
+        }));
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.classList.toggle('show', enabled);
+
+        if (!enabled) {
+            this.setTool(null);
+        }
+    }
+
+    // Rendering
+
+    render(ctx, map) {
+        const toScreen = (x, y) => map.worldToScreen(x * map.SCALE_FACTOR, y * map.SCALE_FACTOR);
+
+        ctx.save();
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        for (const annotation of this.annotations) {
+            if (annotation.type === 'rect' || annotation.type === 'polygon') {
+                const screen = annotation.points.map(([x, y]) => toScreen(x, y));
+                this.tracePath(ctx, screen, true);
+                ctx.fillStyle = 'rgba(244, 114, 182, 0.08)';
+                ctx.fill();
+                ctx.setLineDash([6, 4]);
+                ctx.strokeStyle = this.COLOR;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                // Note above the topmost corner
+                const top = screen.reduce((a, b) => (b.y < a.y ? b : a));
+                this.renderNote(ctx, annotation.text, top.x, top.y - 12);
+            } else if (annotation.type === 'pin') {
+                const screen = toScreen(annotation.x, annotation.y);
+                this.renderPin(ctx, screen);
+                this.renderNote(ctx, annotation.text, screen.x + 10, screen.y - 14);
+            }
+        }
+
+        this.renderComments(ctx, map);
+        this.renderDraft(ctx, toScreen);
+
+        ctx.restore();
+    }
+
+    renderPin(ctx, screen) {
+        ctx.beginPath();
+        ctx.moveTo(screen.x, screen.y);
+        ctx.lineTo(screen.x, screen.y - 8);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y - 14, 6, 0, Math.PI * 2);
+        ctx.fillStyle = this.COLOR;
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    renderNote(ctx, text, x, y) {
+        if (!text) return;
+
+        const label = text.length > 40 ? text.slice(0, 40) + '…' : text;
+        const width = ctx.measureText(label).width;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x - 4, y - 9, width + 8, 18);
+        ctx.fillStyle = '#fce7f3';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, x, y);
+    }
+
+    // A badge with the comment count beside each commented point
+    renderComments(ctx, map) {
+        const counts = new Map();
+        for (const annotation of this.annotations) {
+            if (annotation.type === 'comment') {
+                counts.set(annotation.pointId, (counts.get(annotation.pointId) || 0) + 1);
+            }
+        }
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 10px sans-serif';
+
+        for (const [pointId, count] of counts) {
+            const point = map.getPointById(pointId);
+            if (!point) continue;
+
+            const screen = map.worldToScreen(point.x, point.y);
+            ctx.beginPath();
+            ctx.arc(screen.x + 8, screen.y - 8, 7, 0, Math.PI * 2);
+            ctx.fillStyle = this.COLOR;
+            ctx.fill();
+            ctx.fillStyle = '#1a1a1a';
+            ctx.fillText(String(count), screen.x + 8, screen.y - 8);
+        }
+    }
+
+    renderDraft(ctx, toScreen) {
+        if (!this.draft) return;
+
+        const points = this.draft.type === 'rect'
+            ? [this.draft.points[0], { x: this.draft.points[1].x, y: this.draft.points[0].y }, this.draft.points[1], { x: this.draft.points[0].x, y: this.draft.points[1].y }]
+            : [...this.draft.points, this.pointer];
+        const screen = points.map(p => toScreen(p.x, p.y));
+
+        this.tracePath(ctx, screen, this.draft.type === 'rect');
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = this.COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Target for closing a polygon
+        if (this.draft.type === 'polygon') {
+            ctx.beginPath();
+            ctx.arc(screen[0].x, screen[0].y, this.CLOSE_DISTANCE / 2, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    tracePath(ctx, screen, close) {
+        ctx.beginPath();
+        screen.forEach((p, i) => {
+            if (i === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        if (close) {
+            ctx.closePath();
+        }
+    }
+
+    renderMinimap(ctx, map, toMinimap) {
+        const project = (x, y) => toMinimap.project({ x: x * map.SCALE_FACTOR, y: y * map.SCALE_FACTOR });
+
+        ctx.save();
+        ctx.strokeStyle = this.COLOR;
+        ctx.fillStyle = this.COLOR;
+        ctx.lineWidth = 1;
+
+        for (const annotation of this.annotations) {
+            if (annotation.type === 'rect' || annotation.type === 'polygon') {
+                this.tracePath(ctx, annotation.points.map(([x, y]) => project(x, y)), true);
+                ctx.stroke();
+            } else {
+                const point = annotation.type === 'pin'
+                    ? project(annotation.x, annotation.y)
+                    : this.projectComment(map, toMinimap, annotation.pointId);
+                if (point) {
+                    ctx.fillRect(point.x - 1.5, point.y - 1.5, 3, 3);
+                }
+            }
+        }
+
+        ctx.restore();
+    }
+
+    projectComment(map, toMinimap, pointId) {
+        const point = map.getPointById(pointId);
+        return point ? toMinimap.project(point) : null;
+    }
+}
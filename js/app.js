@@ -7,6 +7,26 @@ class App {
         this.map = null;
         this.search = null;
         this.tooltip = null;
+        this.permalink = null;
+        this.details = null;
+        this.selection = null;
+        this.labels = null;
+        this.neighbors = null;
+        this.heatmap = null;
+        this.declutter = null;
+        this.colors = null;
+        this.clusters = null;
+        this.datasets = null;
+        this.dataset = null;
+        this.layouts = null;
+        this.annotations = null;
+        this.tours = null;
+        this.exporter = null;
+        this.comparison = null;
+        this.lightbox = null;
+        this.searchFilter = null; // Ids matching the main search, or null
+        this.data = null; // Loaded dataset in original data units, shared with search and selection
+        this.selectedPointId = null;
 
         this.loadingOverlay = document.getElementById('loading-overlay');
         this.loadingProgress = document.querySelector('.loading-progress');
@@ -17,6 +37,20 @@ class App {
         this.zoomInBtn = document.getElementById('zoom-in');
         this.zoomOutBtn = document.getElementById('zoom-out');
         this.zoomResetBtn = document.getElementById('zoom-reset');
+        this.labelsToggleBtn = document.getElementById('labels-toggle');
+        this.heatmapToggleBtn = document.getElementById('heatmap-toggle');
+        this.heatmapControls = document.getElementById('heatmap-controls');
+        this.heatmapBandwidthInput = document.getElementById('heatmap-bandwidth');
+        this.heatmapBandwidthValue = document.getElementById('heatmap-bandwidth-value');
+        this.heatmapMinimapInput = document.getElementById('heatmap-minimap');
+        this.declutterToggleBtn = document.getElementById('declutter-toggle');
+        this.declutterControls = document.getElementById('declutter-controls');
+        this.declutterDisplaceInput = document.getElementById('declutter-displace');
+        this.clustersToggleBtn = document.getElementById('clusters-toggle');
+        this.annotationsToggleBtn = document.getElementById('annotations-toggle');
+        this.toursToggleBtn = document.getElementById('tours-toggle');
+        this.exportToggleBtn = document.getElementById('export-toggle');
+        this.compareToggleBtn = document.getElementById('compare-toggle');
 
         this.init();
     }
@@ -26,18 +60,101 @@ class App {
             // Initialize map
             this.map = new EmbeddingMap('main-canvas', 'minimap-canvas');
 
+            // Initialize minimap steering, resizing and collapsing
+            this.minimap = new MinimapController(this.map);
+
             // Initialize search
             this.search = new SearchManager();
 
+            // Initialize two-query comparison
+            this.comparison = new QueryComparison(this.search);
+
+            // Initialize permalink handling
+            this.permalink = new PermalinkManager();
+
+            // Initialize detail panel
+            this.details = new DetailPanel();
+
+            // Initialize the full-screen image viewer
+            this.lightbox = new Lightbox(this.map, this.search);
+
+            // Initialize region selection
+            this.selection = new SelectionManager();
+
+            // Initialize region labels
+            this.labels = new RegionLabeler();
+
+            // Initialize color-by modes
+            this.colors = new ColorManager();
+            this.map.setColorizer(this.colors);
+
+            // Initialize clustering (hulls sit beneath the region labels)
+            this.clusters = new ClusterManager(this.labels, this.colors.PALETTE);
+            this.map.addOverlay(this.clusters);
+            this.map.addOverlay(this.labels);
+
+            // Initialize nearest-neighbor lines for the selected image
+            this.neighbors = new NeighborLinks();
+            this.map.addOverlay(this.neighbors);
+
+            // Initialize annotations (drawn above everything else)
+            this.annotations = new AnnotationManager();
+            this.map.addOverlay(this.annotations);
+
+            // Initialize guided tours
+            this.tours = new TourManager();
+            this.tours.setEasings(Object.keys(this.map.EASINGS));
+
+            // Initialize image export
+            this.exporter = new ImageExporter(this.map, this.labels);
+
+            // Initialize keyboard navigation of the map
+            this.keyboard = new KeyboardNavigator(this.map);
+
+            // Initialize layout switching
+            this.layouts = new LayoutManager();
+
+            // Initialize density heatmap
+            this.heatmap = new HeatmapRenderer();
+            this.map.setHeatmap(this.heatmap);
+
+            // Initialize thumbnail decluttering
+            this.declutter = new ThumbnailDeclutterer();
+            this.map.setDeclutterer(this.declutter);
+
+            // Draw points with WebGL where available; ?renderer=canvas forces Canvas2D
+            if (new URLSearchParams(window.location.search).get('renderer') !== 'canvas') {
+                const webgl = new WebGLRenderer();
+                if (webgl.isSupported()) {
+                    this.map.setWebGLRenderer(webgl);
+                }
+            }
+
             // Initialize tooltip
             this.initTooltip();
 
+            // Read the dataset manifest; the hash, then the last choice, pick the dataset
+            this.datasets = new DatasetManager();
+            await this.datasets.load();
+
+            const state = this.permalink.read();
+            this.dataset = this.datasets.pick(state.dataset);
+
             // Load data
-            await this.loadData();
+            await this.loadDataset(this.dataset);
 
             // Setup event handlers
             this.setupEventHandlers();
 
+            // Restore view from the URL hash
+            await this.restoreState(state);
+
+            // ?tour= plays a saved tour
+            const tourUrl = new URLSearchParams(window.location.search).get('tour');
+            if (tourUrl) {
+                this.playTour(tourUrl);
+            }
+
             // Hide loading overlay
             this.hideLoading();
 
@@ -47,75 +164,186 @@ class App {
         }
     }
 
-    async loadData() {
+    async loadDataset(dataset) {
+        const setImages = () => {
+            this.map.setImageUrlTemplate(dataset.thumbnails);
+            this.lightbox.setImageUrlTemplate(dataset.images);
+            this.map.setSpriteAtlas(null);
+        };
+
+        // The first dataset is shown while it streams in. A switch keeps the current
+        // dataset on screen until the new one has loaded, so a failed switch changes nothing
+        const isFirst = !this.data;
+        if (isFirst) setImages();
+
+        const { data, coordinatesLoaded } = await this.loadData(dataset.data, isFirst);
+
+        if (!isFirst) setImages();
+        this.processData(data, coordinatesLoaded);
+
+        this.layouts.setData(dataset, this.data);
+        this.annotations.setDataset(dataset.id);
+        this.tours.setDataset(dataset.id);
+
+        // Use thumbnail sprite sheets when an atlas manifest exists
+        if (dataset.atlas) {
+            const atlas = new ThumbnailAtlas();
+            if (await atlas.load(dataset.atlas)) {
+                this.map.setSpriteAtlas(atlas);
+            }
+        }
+
+        this.datasets.setCurrent(dataset);
+    }
+
+    // Replace the loaded dataset without reloading the page
+    async switchDataset(id) {
+        const dataset = this.datasets.get(id);
+        if (!dataset || dataset === this.dataset) return;
+
+        this.search.clearSearch();
+        this.selectPoint(null);
+        this.clearRegionSelection();
+        this.updateTooltip(null);
+        this.lightbox.close();
+
+        this.loadingOverlay.classList.remove('hidden');
+
+        try {
+            await this.loadDataset(dataset);
+        } catch (error) {
+            // The previous dataset is still loaded; put the switcher back on it
+            this.datasets.setCurrent(this.dataset);
+            console.error('Failed to switch dataset:', error);
+            this.showError(error.message);
+            return;
+        }
+
+        this.dataset = dataset;
+        this.updatePermalink();
+        this.hideLoading();
+    }
+
+    // Fetch and parse a dataset. Only with showPoints does it touch the map, showing
+    // binary data's coordinates as soon as they arrive
+    async loadData(url, showPoints = false) {
         try {
             this.updateLoadingProgress('Loading data...', 0);
 
-            const response = await fetch('data.json');
+            const response = await fetch(url);
 
             if (!response.ok) {
-                throw new Error(`Failed to load data.json: ${response.status} ${response.statusText}`);
+                throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
             }
 
             // Get content length for progress tracking
-            const contentLength = response.headers.get('content-length');
+            const total = parseInt(response.headers.get('content-length'), 10) || 0;
+            const binary = new BinaryDatasetParser();
+            const chunks = [];
             let loaded = 0;
+            let isBinary = null;
+            let coordinatesLoaded = false;
 
-            if (contentLength) {
-                const total = parseInt(contentLength, 10);
-                const reader = response.body.getReader();
-                const chunks = [];
+            for await (const chunk of this.readChunks(response)) {
+                // Pick the format by extension, or by sniffing the first bytes
+                if (isBinary === null) {
+                    isBinary = url.endsWith('.bin') || binary.sniff(chunk);
+                }
 
-                while (true) {
-                    const { done, value } = await reader.read();
+                loaded += chunk.length;
 
-                    if (done) break;
+                if (isBinary) {
+                    binary.push(chunk);
 
-                    chunks.push(value);
-                    loaded += value.length;
+                    // Show the points as soon as their coordinates are in; prompts follow
+                    if (showPoints && !coordinatesLoaded && binary.hasCoordinates()) {
+                        coordinatesLoaded = true;
+                        this.map.loadData(binary.getCoordinates());
+                        this.hideLoading();
+                    }
+                } else {
+                    chunks.push(chunk);
+                }
 
+                if (total) {
                     const progress = Math.round((loaded / total) * 100);
                     this.updateLoadingProgress('Loading data...', progress);
                 }
+            }
 
-                // Combine chunks
-                const allChunks = new Uint8Array(loaded);
-                let position = 0;
-                for (const chunk of chunks) {
-                    allChunks.set(chunk, position);
-                    position += chunk.length;
-                }
+            if (isBinary) {
+                return { data: binary.finish(), coordinatesLoaded };
+            }
 
-                // Decode and parse
-                const text = new TextDecoder().decode(allChunks);
-                const data = JSON.parse(text);
+            // Combine chunks
+            const allChunks = new Uint8Array(loaded);
+            let position = 0;
+            for (const chunk of chunks) {
+                allChunks.set(chunk, position);
+                position += chunk.length;
+            }
 
-                this.processData(data);
+            // Decode and parse
+            const text = new TextDecoder().decode(allChunks);
+            const data = JSON.parse(text);
 
-            } else {
-                // No content length, just load normally
-                const data = await response.json();
-                this.processData(data);
-            }
+            return { data, coordinatesLoaded: false };
 
         } catch (error) {
             throw new Error(`Failed to load data: ${error.message}`);
         }
     }
 
-    processData(data) {
+    // Response body as byte chunks, as they arrive where the browser can stream it
+    async *readChunks(response) {
+        if (!response.body) {
+            yield new Uint8Array(await response.arrayBuffer());
+            return;
+        }
+
+        const reader = response.body.getReader();
+
+        while (true) {
+            const { done, value } = await reader.read();
+
+            if (done) break;
+
+            yield value;
+        }
+    }
+
+    processData(data, coordinatesLoaded = false) {
         this.updateLoadingProgress('Processing data...', 100);
 
-        // Load data into map
-        this.map.loadData(data);
+        this.data = data;
+
+        // Load data into map, or fill in the prompts of points it already shows
+        if (coordinatesLoaded) {
+            this.map.attachPointData(data.points);
+        } else {
+            this.map.loadData(data);
+        }
 
         // Load data into search
         this.search.setData(data.points);
 
+        // Load data into query comparison
+        this.comparison.setData(data.points);
+
+        // Load data into region selection
+        this.selection.setData(data.points);
+
+        // Load data into color-by modes
+        this.colors.setData(data.points);
+
+        // Compute region labels from the map's coordinates
+        this.labels.setData(this.map.allPoints, this.map.bounds);
+
+        // Clusters are computed on demand from the map's coordinates
+        this.clusters.setData(this.map.allPoints, this.map.SCALE_FACTOR);
+
         // Update stats
         this.totalPointsEl.textContent = data.points.length.toLocaleString();
-
-        console.log(`Loaded ${data.points.length} points`);
     }
 
     setupEventHandlers() {
@@ -129,24 +357,133 @@ class App {
             this.visiblePointsEl.textContent = count.toLocaleString();
         };
 
+        // Map click -> select point, or a cluster hull, or clear selection on empty space
+        this.map.onPointClick = (point, position) => {
+            const cluster = point ? null : this.clusters.getClusterAt(this.map, position.x, position.y);
+            this.selectPoint(point ? point.id : null);
+            if (cluster) {
+                this.selectCluster(cluster);
+            }
+        };
+
+        // Box/lasso selection -> update summary
+        this.map.onRegionSelect = (ids) => {
+            this.selection.setSelection(ids);
+        };
+
+        this.selection.onClear = () => {
+            this.clearRegionSelection();
+        };
+
+        // Detail panel actions
+        this.details.onClose = () => {
+            this.selectPoint(null);
+        };
+
+        this.details.onZoomTo = (pointId) => {
+            this.zoomToPoint(pointId);
+        };
+
+        // Lightbox: opened from the detail panel or by double-clicking an image;
+        // the map follows each step, so closing leaves the view at the last image
+        this.details.onOpen = (pointId) => {
+            this.openLightbox(pointId);
+        };
+
+        this.map.onPointOpen = (point) => {
+            this.openLightbox(point.id);
+        };
+
+        this.lightbox.onStep = (pointId) => {
+            this.selectPoint(pointId);
+            this.zoomToPoint(pointId);
+        };
+
+        this.details.onNeighborClick = (pointId) => {
+            this.selectPoint(pointId);
+            this.zoomToPoint(pointId);
+        };
+
+        this.details.onNeighborCountChange = () => {
+            if (this.selectedPointId !== null) {
+                this.selectPoint(this.selectedPointId);
+            }
+        };
+
+        this.details.onShowNeighbors = () => {
+            this.toggleNeighbors();
+        };
+
+        // Map camera -> update permalink
+        this.map.onCameraChange = () => {
+            this.updatePermalink();
+        };
+
+        // Enter on the keyboard-focused point -> select it
+        this.keyboard.onSelect = (pointId) => {
+            this.selectPoint(pointId);
+        };
+
         // Search result click -> pan to point
         this.search.onResultClick = (pointId) => {
             const point = this.map.getPointById(pointId);
             if (point) {
+                this.selectPoint(pointId);
                 this.map.panTo(point.x, point.y, 2.0);
                 this.search.hideResults();
             }
         };
 
+        // Next/previous match -> select it and center it
+        this.search.onMatchStep = (pointId) => {
+            const point = this.map.getPointById(pointId);
+            if (point) {
+                this.selectPoint(pointId);
+                this.map.panTo(point.x, point.y);
+            }
+        };
+
+        this.search.onFitResults = () => {
+            this.fitToResults();
+        };
+
+        // Search region: field -> current viewport
+        this.search.getRegion = () => this.map.getViewportDataBounds();
+
         // Search change -> filter map
         this.search.onSearchChange = (filteredIds) => {
-            if (filteredIds === null) {
-                this.map.clearFilter();
-            } else {
-                this.map.setFilter(filteredIds);
-            }
+            this.searchFilter = filteredIds;
+            this.comparison.setPrimary(filteredIds);
+            this.applyFilter();
+            this.updatePermalink();
+        };
+
+        // Query comparison
+        this.compareToggleBtn.addEventListener('click', () => {
+            this.toggleCompare();
+        });
+
+        this.comparison.onChange = () => {
+            this.applyFilter();
+        };
+
+        this.comparison.onFit = (ids) => {
+            this.fitToIds(ids);
+        };
+
+        // Edited URL hash -> restore view
+        this.permalink.onHashChange = (state) => {
+            this.restoreState(state);
         };
 
+        // Header switcher -> load another dataset
+        this.datasets.onChange = (id) => {
+            this.switchDataset(id);
+        };
+
+        // Thumbnail URLs follow the current dataset's template
+        this.details.getImageUrl = (id) => this.map.getImageUrl(id);
+
         // Zoom controls
         this.zoomInBtn.addEventListener('click', () => {
             this.map.zoomIn();
@@ -160,17 +497,150 @@ class App {
             this.map.resetView();
         });
 
+        this.labelsToggleBtn.addEventListener('click', () => {
+            this.toggleLabels();
+        });
+
+        // Color mode or legend toggles change which points are shown
+        this.colors.onChange = () => {
+            this.map.invalidateFilter();
+        };
+
+        // Heatmap controls
+        this.heatmapToggleBtn.addEventListener('click', () => {
+            this.toggleHeatmap();
+        });
+
+        this.heatmapBandwidthInput.addEventListener('input', () => {
+            const bandwidth = parseFloat(this.heatmapBandwidthInput.value);
+            this.heatmap.setBandwidth(bandwidth);
+            this.heatmapBandwidthValue.textContent = bandwidth.toFixed(1);
+        });
+
+        this.heatmapMinimapInput.addEventListener('change', () => {
+            this.heatmap.setShowOnMinimap(this.heatmapMinimapInput.checked);
+        });
+
+        // Thumbnail decluttering
+        this.declutterToggleBtn.addEventListener('click', () => {
+            this.toggleDeclutter();
+        });
+
+        this.declutterDisplaceInput.addEventListener('change', () => {
+            this.declutter.setDisplace(this.declutterDisplaceInput.checked);
+        });
+
+        // Clustering
+        this.clustersToggleBtn.addEventListener('click', () => {
+            this.toggleClusters();
+        });
+
+        this.clusters.onChange = (assignments) => {
+            this.colors.setClusters(assignments);
+        };
+
+        // Annotations: drawing tools take over the map pointer
+        this.annotationsToggleBtn.addEventListener('click', () => {
+            this.toggleAnnotations();
+        });
+
+        this.annotations.onToolChange = (active) => {
+            this.map.setTool(active ? this.annotations : null);
+        };
+
+        this.annotations.onFocus = (annotation) => {
+            this.focusAnnotation(annotation);
+        };
+
+        this.annotations.onChange = () => {
+            if (this.selectedPointId !== null) {
+                this.details.setComments(this.annotations.getComments(this.selectedPointId));
+            }
+        };
+
+        this.details.onAddComment = (pointId, text) => {
+            this.annotations.addComment(pointId, text);
+        };
+
+        this.details.onDeleteComment = (commentId) => {
+            this.annotations.remove(commentId);
+        };
+
+        // Guided tours: record the current view, play waypoints back with timed camera moves
+        this.toursToggleBtn.addEventListener('click', () => {
+            this.toggleTours();
+        });
+
+        this.tours.getWaypoint = () => ({
+            ...this.map.getViewState(),
+            query: this.search.getSearchQuery(),
+            pointId: this.selectedPointId
+        });
+
+        this.tours.onWaypoint = (waypoint, transition) => {
+            this.showWaypoint(waypoint, transition);
+        };
+
+        this.tours.onStop = () => {
+            this.map.setSelectedPoint(this.selectedPointId);
+        };
+
+        // High-resolution image export
+        this.exportToggleBtn.addEventListener('click', () => {
+            this.toggleExport();
+        });
+
+        // Layout switcher and scrubber -> move the points
+        this.layouts.onAnimate = (from, to, t) => {
+            this.map.animateMorph(from, to, t);
+        };
+
+        this.layouts.onScrub = (from, to, t) => {
+            this.map.setMorph(from, to, t);
+        };
+
+        this.map.onMorphChange = (t, settled) => {
+            this.layouts.setProgress(t);
+            if (settled) {
+                this.updatePointPositions();
+            }
+        };
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // The lightbox has its own keys
+            if (this.lightbox.isOpen()) return;
+
             // Ctrl/Cmd + F to focus search
             if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
                 e.preventDefault();
                 this.search.focus();
             }
 
-            // Escape to clear search
-            if (e.key === 'Escape') {
+            // Escape to clear search and selections (unless it just cancelled a drawing)
+            if (e.key === 'Escape' && !e.defaultPrevented) {
                 this.search.clearSearch();
+                this.selectPoint(null);
+                this.clearRegionSelection();
+                this.keyboard.clear();
+            }
+
+            // Leave typed characters alone while editing text
+            if (e.target.matches('input, textarea')) return;
+
+            // Arrows pan (unless a tour took them or a control uses them), Enter selects the focused point
+            const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+            if (arrows[e.key] && !e.defaultPrevented && !e.altKey && !e.ctrlKey && !e.metaKey && !e.target.matches('select')) {
+                e.preventDefault();
+                this.keyboard.pan(...arrows[e.key]);
+                return;
+            }
+
+            if (e.key === 'Enter' && (e.target === this.map.canvas || e.target === document.body)) {
+                if (this.keyboard.selectFocused()) {
+                    e.preventDefault();
+                }
+                return;
             }
 
             // +/- for zoom (without modifier keys)
@@ -184,11 +654,276 @@ class App {
                 } else if (e.key === '0') {
                     e.preventDefault();
                     this.map.resetView();
+                } else if (e.key === 'l' || e.key === 'L') {
+                    this.toggleLabels();
+                } else if (e.key === 'h' || e.key === 'H') {
+                    this.toggleHeatmap();
+                } else if (e.key === 'd' || e.key === 'D') {
+                    this.toggleDeclutter();
+                } else if (e.key === 'c' || e.key === 'C') {
+                    this.toggleClusters();
+                } else if (e.key === 'a' || e.key === 'A') {
+                    this.toggleAnnotations();
+                } else if (e.key === 't' || e.key === 'T') {
+                    this.toggleTours();
+                } else if (e.key === 'e' || e.key === 'E') {
+                    this.toggleExport();
+                } else if (e.key === 'n' || e.key === 'N') {
+                    this.toggleNeighbors();
+                } else if (e.key === 'o' || e.key === 'O') {
+                    const point = this.map.focusedPoint || this.map.selectedPoint;
+                    if (point) {
+                        this.openLightbox(point.id);
+                    }
+                } else if (e.key === 'v' || e.key === 'V') {
+                    this.toggleCompare();
+                } else if (e.key === ',' || e.key === '.') {
+                    this.search.stepMatch(e.key === '.' ? 1 : -1);
+                } else if (e.key === 'f' || e.key === 'F') {
+                    this.fitToResults();
+                } else if (e.key === '[' || e.key === ']') {
+                    // Step the focus through the points in view, wherever the keyboard focus is
+                    e.preventDefault();
+                    this.map.canvas.focus();
+                    this.keyboard.step(e.key === ']' ? 1 : -1);
                 }
             }
         });
     }
 
+    selectPoint(pointId) {
+        const point = pointId === null ? null : this.map.getPointById(pointId);
+        const wasOpen = this.details.isOpen();
+
+        this.selectedPointId = point ? point.id : null;
+        this.map.setSelectedPoint(this.selectedPointId);
+
+        if (point) {
+            const neighbors = this.map.getNearestPoints(point, this.details.getNeighborCount());
+            this.details.show(point, this.map.getDataPosition(point), neighbors);
+            this.details.setComments(this.annotations.getComments(point.id));
+            this.neighbors.setNeighbors(point, neighbors);
+        } else {
+            this.details.hide();
+            this.neighbors.clear();
+        }
+
+        // The panel takes space from the canvas when it opens or closes
+        if (wasOpen !== this.details.isOpen()) {
+            this.map.resizeCanvas();
+        }
+
+        this.updatePermalink();
+    }
+
+    // The points have come to rest in a new layout: refresh what depends on their positions
+    updatePointPositions() {
+        this.map.allPoints.forEach((point, i) => {
+            Object.assign(this.data.points[i], this.map.getDataPosition(point));
+        });
+
+        this.labels.setData(this.map.allPoints, this.map.bounds);
+        this.clusters.updateGeometry();
+        this.comparison.update();
+
+        // Coordinates and nearest neighbors differ per layout
+        if (this.selectedPointId !== null) {
+            this.selectPoint(this.selectedPointId);
+        }
+    }
+
+    clearRegionSelection() {
+        this.map.clearSelectedIds();
+        this.selection.setSelection(null);
+    }
+
+    toggleLabels() {
+        this.labels.setEnabled(!this.labels.enabled);
+        this.labelsToggleBtn.classList.toggle('active', this.labels.enabled);
+    }
+
+    toggleNeighbors() {
+        this.neighbors.setEnabled(!this.neighbors.enabled);
+        this.details.setNeighborsShown(this.neighbors.enabled);
+    }
+
+    toggleHeatmap() {
+        this.heatmap.setEnabled(!this.heatmap.enabled);
+        this.heatmapToggleBtn.classList.toggle('active', this.heatmap.enabled);
+        this.heatmapControls.classList.toggle('show', this.heatmap.enabled);
+    }
+
+    toggleDeclutter() {
+        this.declutter.setEnabled(!this.declutter.enabled);
+        this.declutterToggleBtn.classList.toggle('active', this.declutter.enabled);
+        this.declutterControls.classList.toggle('show', this.declutter.enabled);
+    }
+
+    toggleClusters() {
+        this.clusters.setEnabled(!this.clusters.enabled);
+        this.clustersToggleBtn.classList.toggle('active', this.clusters.enabled);
+    }
+
+    toggleAnnotations() {
+        this.annotations.setEnabled(!this.annotations.enabled);
+        this.annotationsToggleBtn.classList.toggle('active', this.annotations.enabled);
+    }
+
+    toggleTours() {
+        this.tours.setEnabled(!this.tours.enabled);
+        this.toursToggleBtn.classList.toggle('active', this.tours.enabled);
+    }
+
+    toggleExport() {
+        this.exporter.setEnabled(!this.exporter.enabled);
+        this.exportToggleBtn.classList.toggle('active', this.exporter.enabled);
+    }
+
+    toggleCompare() {
+        this.comparison.setEnabled(!this.comparison.enabled);
+        this.compareToggleBtn.classList.toggle('active', this.comparison.enabled);
+    }
+
+    // Show the search matches, or while comparing, the matches of both queries colored by set
+    applyFilter() {
+        const sets = this.comparison.getSets();
+        this.map.setComparison(sets);
+
+        if (sets) {
+            this.map.setFilter(new Set([...sets.a, ...sets.b]));
+        } else if (this.searchFilter === null) {
+            this.map.clearFilter();
+        } else {
+            this.map.setFilter(this.searchFilter);
+        }
+    }
+
+    async playTour(url) {
+        try {
+            const tour = await this.tours.loadUrl(url);
+
+            // A tour recorded on another dataset from the manifest brings it along
+            if (tour.dataset && this.datasets.get(tour.dataset)) {
+                await this.switchDataset(tour.dataset);
+            }
+
+            this.tours.play(0);
+        } catch (error) {
+            console.error('Failed to load tour:', error);
+            if (!this.tours.enabled) {
+                this.toggleTours();
+            }
+            this.tours.setStatus(error.message, true);
+        }
+    }
+
+    // Tour waypoint: its search, a highlighted image (without opening the panel) and a timed camera move
+    showWaypoint(waypoint, transition) {
+        const scale = this.map.SCALE_FACTOR;
+
+        this.search.setQuery(waypoint.query || '');
+
+        if (this.details.isOpen()) {
+            this.selectPoint(null);
+        }
+        this.map.setSelectedPoint(waypoint.pointId !== undefined ? waypoint.pointId : null);
+
+        const zoom = waypoint.zoom !== undefined ? waypoint.zoom / scale : undefined;
+        this.map.panTo(waypoint.x * scale, waypoint.y * scale, zoom, transition);
+    }
+
+    // Bring an annotation into view; a comment also selects its point
+    focusAnnotation(annotation) {
+        const scale = this.map.SCALE_FACTOR;
+
+        if (annotation.type === 'comment') {
+            this.selectPoint(annotation.pointId);
+            this.zoomToPoint(annotation.pointId);
+        } else if (annotation.type === 'pin') {
+            this.map.panTo(annotation.x * scale, annotation.y * scale, Math.max(this.map.targetCamera.zoom, 1.0));
+        } else {
+            const xs = annotation.points.map(p => p[0] * scale);
+            const ys = annotation.points.map(p => p[1] * scale);
+            this.map.fitBounds({ minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) });
+        }
+    }
+
+    // Zoom to fit a cluster and select its members so they can be exported
+    selectCluster(cluster) {
+        const ids = new Set(cluster.ids);
+
+        this.map.fitBounds(cluster.bounds);
+        this.map.setSelectedIds(ids);
+        this.selection.setSelection(ids, cluster.name);
+    }
+
+    // Frame every search match that is shown
+    fitToResults() {
+        this.fitToIds(this.search.matchIds);
+    }
+
+    fitToIds(ids) {
+        const points = [...ids]
+            .map(id => this.map.getPointById(id))
+            .filter(point => point && this.map.isPointShown(point));
+
+        if (points.length === 0) return;
+
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const point of points) {
+            bounds.minX = Math.min(bounds.minX, point.x);
+            bounds.minY = Math.min(bounds.minY, point.y);
+            bounds.maxX = Math.max(bounds.maxX, point.x);
+            bounds.maxY = Math.max(bounds.maxY, point.y);
+        }
+
+        this.map.fitBounds(bounds);
+    }
+
+    openLightbox(pointId) {
+        const point = this.map.getPointById(pointId);
+        if (point) {
+            this.updateTooltip(null);
+            this.lightbox.open(point);
+        }
+    }
+
+    zoomToPoint(pointId) {
+        const point = this.map.getPointById(pointId);
+        if (point) {
+            this.map.panTo(point.x, point.y, Math.max(this.map.targetCamera.zoom, 2.0));
+        }
+    }
+
+    updatePermalink() {
+        this.permalink.update({
+            ...this.map.getViewState(),
+            dataset: this.datasets.hasChoice() ? this.dataset.id : null,
+            query: this.search.getSearchQuery(),
+            pointId: this.selectedPointId
+        });
+    }
+
+    async restoreState(state) {
+        // Switch first so the point id and view refer to the right dataset
+        const dataset = this.datasets.get(state.dataset);
+        if (dataset && dataset !== this.dataset) {
+            await this.switchDataset(dataset.id);
+        }
+
+        this.search.setQuery(state.query || '');
+
+        const point = state.pointId !== undefined ? this.map.getPointById(state.pointId) : null;
+        this.selectPoint(point ? point.id : null);
+
+        if (state.x !== undefined) {
+            this.map.setViewState(state, true);
+        } else if (point) {
+            this.map.panTo(point.x, point.y, 2.0);
+            this.map.camera = { ...this.map.targetCamera };
+        }
+    }
+
     initTooltip() {
         this.tooltip = {
             element: document.getElementById('tooltip'),
@@ -202,6 +937,14 @@ class App {
                 this.positionTooltip(e.clientX, e.clientY);
             }
         });
+
+        // A tap shows the tooltip on touch screens; put it by the finger
+        document.addEventListener('touchend', (e) => {
+            if (this.tooltip.element.style.display === 'block' && e.changedTouches.length > 0) {
+                const touch = e.changedTouches[0];
+                this.positionTooltip(touch.clientX, touch.clientY);
+            }
+        });
     }
 
     updateTooltip(point) {
@@ -211,7 +954,7 @@ class App {
         }
 
         // Update image
-        this.tooltip.image.src = `thumbnails/image_${point.id}.jpg`;
+        this.tooltip.image.src = this.map.getImageUrl(point.id);
 
         // Update prompt
         this.tooltip.prompt.textContent = point.prompt;
@@ -0,0 +1,104 @@
+/**
+ * Atlas.js - Thumbnail sprite sheets described by a manifest
+ *
+ * thumbnails/atlas.json (written by scripts/build-atlas.js):
+ *   {version: 1, tileSize, sheets: ["atlas_0.jpg", ...], sprites: {id: [sheet, x, y, width, height]}}
+ *
+ * Sheets group thumbnails that sit close together on the map, so the view
+ * only needs the few sheets covering it. They load on first use.
+ */
+
+class ThumbnailAtlas {
+    constructor() {
+        this.tileSize = 0;
+        this.sheetUrls = [];
+        this.sheets = []; // Image per sheet, created on first use
+        this.sprites = new Map(); // id -> [sheet, x, y, width, height]
+
+        this.maxConcurrentLoads = 2;
+        this.currentLoads = 0;
+        this.loadQueue = [];
+    }
+
+    // Resolves to false when there is no usable manifest, so callers fall back to single files
+    async load(manifestUrl) {
+        let response;
+        try {
+            response = await fetch(manifestUrl);
+        } catch (error) {
+            return false;
+        }
+
+        if (!response.ok) return false;
+
+        try {
+            const manifest = await response.json();
+
+            if (manifest.version !== 1 || !Array.isArray(manifest.sheets) || !manifest.sprites) {
+                return false;
+            }
+
+            const base = new URL(manifestUrl, window.location.href);
+            this.tileSize = manifest.tileSize;
+            this.sheetUrls = manifest.sheets.map(file => new URL(file, base).href);
+            this.sheets = new Array(this.sheetUrls.length).fill(null);
+            this.sprites = new Map(Object.entries(manifest.sprites).map(([id, rect]) => [Number(id), rect]));
+        } catch (error) {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Sprite source {image, sx, sy, sw, sh}; null while its sheet is loading,
+    // undefined when the atlas doesn't contain this id
+    getSprite(id) {
+        const rect = this.sprites.get(id);
+        if (!rect) return undefined;
+
+        const [sheetIndex, sx, sy, sw, sh] = rect;
+        const sheet = this.loadSheet(sheetIndex);
+
+        if (!sheet.complete || sheet.naturalWidth === 0) return null;
+
+        return { image: sheet, sx, sy, sw, sh };
+    }
+
+    loadSheet(index) {
+        if (!this.sheets[index]) {
+            const img = new Image();
+            img.dataset.sheet = index;
+            this.sheets[index] = img;
+
+            this.loadQueue.push(img);
+            this.processLoadQueue();
+        }
+
+        return this.sheets[index];
+    }
+
+    processLoadQueue() {
+        while (this.currentLoads < this.maxConcurrentLoads && this.loadQueue.length > 0) {
+            const img = this.loadQueue.shift();
+            this.currentLoads++;
+
+            img.onload = () => {
+                this.currentLoads--;
+                this.processLoadQueue();
+            };
+
+            img.onerror = () => {
+                // Drop the sheet's sprites so its thumbnails fall back to single files
+                const sheetIndex = Number(img.dataset.sheet);
+                for (const [id, rect] of this.sprites) {
+                    if (rect[0] === sheetIndex) this.sprites.delete(id);
+                }
+
+                this.currentLoads--;
+                this.processLoadQueue();
+            };
+
+            img.src = this.sheetUrls[Number(img.dataset.sheet)];
+        }
+    }
+}
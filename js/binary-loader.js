@@ -0,0 +1,155 @@
+/**
+ * Binary-loader.js - Incremental parser for the compact binary dataset format
+ *
+ * Layout (little-endian), written by scripts/convert-dataset.js:
+ *   Header (32 bytes): "EMAP", u16 version, u16 header size, u32 point count,
+ *                      f32 minX, minY, maxX, maxY, u32 reserved
+ *   u32 ids[count], f32 xs[count], f32 ys[count]
+ *   Prompts: count × (u32 byte length + UTF-8 bytes)
+ *   Extras:  u32 byte length + UTF-8 JSON {field: [value per point]} (length 0 = none)
+ *
+ * Bytes are pushed as they arrive; the coordinates become available before
+ * the prompt table has finished downloading.
+ */
+
+class BinaryDatasetParser {
+    constructor() {
+        this.MAGIC = 'EMAP';
+        this.VERSION = 1;
+        this.HEADER_SIZE = 32;
+
+        this.buffer = new Uint8Array(64 * 1024);
+        this.length = 0;
+        this.view = new DataView(this.buffer.buffer);
+        this.decoder = new TextDecoder();
+
+        this.count = null;
+        this.bounds = null;
+        this.points = null; // Created once the coordinate arrays are complete
+        this.cursor = 0; // Read position in the prompt table
+        this.promptsRead = 0;
+        this.done = false;
+    }
+
+    // True when the bytes start with the format's magic number
+    sniff(bytes) {
+        return bytes.length >= 4 && String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === this.MAGIC;
+    }
+
+    push(chunk) {
+        if (this.length + chunk.length > this.buffer.length) {
+            let size = this.buffer.length * 2;
+            while (size < this.length + chunk.length) size *= 2;
+
+            const grown = new Uint8Array(size);
+            grown.set(this.buffer.subarray(0, this.length));
+            this.buffer = grown;
+            this.view = new DataView(grown.buffer);
+        }
+
+        this.buffer.set(chunk, this.length);
+        this.length += chunk.length;
+
+        this.parse();
+    }
+
+    parse() {
+        if (this.count === null) {
+            if (this.length < this.HEADER_SIZE) return;
+            this.parseHeader();
+        }
+
+        if (this.points === null) {
+            if (this.length < this.cursor + this.count * 12) return;
+            this.parseCoordinates();
+        }
+
+        while (this.promptsRead < this.count) {
+            const text = this.readString();
+            if (text === null) return;
+            this.points[this.promptsRead++].prompt = text;
+        }
+
+        if (!this.done) {
+            const extras = this.readString();
+            if (extras === null) return;
+            if (extras) this.attachExtras(JSON.parse(extras));
+            this.done = true;
+        }
+    }
+
+    parseHeader() {
+        if (!this.sniff(this.buffer)) {
+            throw new Error('Not a binary dataset (bad magic number)');
+        }
+
+        const version = this.view.getUint16(4, true);
+        if (version !== this.VERSION) {
+            throw new Error(`Unsupported binary dataset version ${version}`);
+        }
+
+        this.count = this.view.getUint32(8, true);
+        this.bounds = {
+            minX: this.view.getFloat32(12, true),
+            minY: this.view.getFloat32(16, true),
+            maxX: this.view.getFloat32(20, true),
+            maxY: this.view.getFloat32(24, true)
+        };
+        this.cursor = this.view.getUint16(6, true);
+    }
+
+    parseCoordinates() {
+        const idsAt = this.cursor;
+        const xsAt = idsAt + this.count * 4;
+        const ysAt = xsAt + this.count * 4;
+
+        this.points = new Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            this.points[i] = {
+                id: this.view.getUint32(idsAt + i * 4, true),
+                x: this.view.getFloat32(xsAt + i * 4, true),
+                y: this.view.getFloat32(ysAt + i * 4, true),
+                prompt: ''
+            };
+        }
+
+        this.cursor = ysAt + this.count * 4;
+    }
+
+    // Next length-prefixed string, or null if it hasn't fully arrived yet
+    readString() {
+        if (this.length < this.cursor + 4) return null;
+
+        const byteLength = this.view.getUint32(this.cursor, true);
+        const start = this.cursor + 4;
+        if (this.length < start + byteLength) return null;
+
+        this.cursor = start + byteLength;
+        return this.decoder.decode(this.buffer.subarray(start, start + byteLength));
+    }
+
+    attachExtras(extras) {
+        for (const [name, values] of Object.entries(extras)) {
+            values.forEach((value, i) => {
+                if (value !== null) this.points[i][name] = value;
+            });
+        }
+    }
+
+    hasCoordinates() {
+        return this.points !== null;
+    }
+
+    // {points, bounds} with prompts still empty
+    getCoordinates() {
+        return { points: this.points, bounds: this.bounds };
+    }
+
+    // The complete dataset, in the same shape as data.json
+    finish() {
+        if (!this.done) {
+            throw new Error(`Binary dataset is truncated (${this.length} bytes read)`);
+        }
+        return { points: this.points, bounds: this.bounds };
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Cluster-worker.js - k-means and DBSCAN clustering off the main thread
+ *
+ * Message in:  {runId, algorithm: 'kmeans'|'dbscan', params, xs, ys}
+ *              (coordinates as Float64Arrays; eps in the same units)
+ * Messages out: {runId, type: 'progress', message}
+ *               {runId, type: 'result', labels}   (Int32Array, -1 = noise)
+ *               {runId, type: 'error', message}
+ */
+
+// QuadTree for DBSCAN neighborhood queries, createRandom for k-means++ seeding
+importScripts('map.js', 'random.js');
+
+self.onmessage = (e) => {
+    const { runId, algorithm, params, xs, ys } = e.data;
+
+    const progress = (message) => self.postMessage({ runId, type: 'progress', message });
+
+    try {
+        let labels;
+
+        if (algorithm === 'kmeans') {
+            labels = kmeans(xs, ys, params.k, progress);
+        } else if (algorithm === 'dbscan') {
+            labels = dbscan(xs, ys, params.eps, params.minPoints, progress);
+        } else {
+            throw new Error(`Unknown clustering algorithm: ${algorithm}`);
+        }
+
+        labels = relabelBySize(labels);
+        self.postMessage({ runId, type: 'result', labels }, [labels.buffer]);
+    } catch (error) {
+        self.postMessage({ runId, type: 'error', message: error.message });
+    }
+};
+
+function kmeans(xs, ys, k, progress, maxIterations = 100) {
+    const n = xs.length;
+    k = Math.max(1, Math.min(k, n));
+
+    const random = createRandom(42);
+    const cx = new Float64Array(k);
+    const cy = new Float64Array(k);
+
+    // k-means++ seeding
+    const first = Math.floor(random() * n);
+    cx[0] = xs[first];
+    cy[0] = ys[first];
+
+    const nearest = new Float64Array(n).fill(Infinity);
+
+    for (let c = 1; c < k; c++) {
+        let total = 0;
+        for (let i = 0; i < n; i++) {
+            const d = (xs[i] - cx[c - 1]) ** 2 + (ys[i] - cy[c - 1]) ** 2;
+            if (d < nearest[i]) nearest[i] = d;
+            total += nearest[i];
+        }
+
+        let target = random() * total;
+        let chosen = n - 1;
+        for (let i = 0; i < n; i++) {
+            target -= nearest[i];
+            if (target <= 0) {
+                chosen = i;
+                break;
+            }
+        }
+
+        cx[c] = xs[chosen];
+        cy[c] = ys[chosen];
+    }
+
+    // Lloyd iterations
+    const labels = new Int32Array(n).fill(-1);
+    const sumX = new Float64Array(k);
+    const sumY = new Float64Array(k);
+    const counts = new Int32Array(k);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = 0;
+
+        for (let i = 0; i < n; i++) {
+            let best = 0;
+            let bestDist = Infinity;
+            for (let c = 0; c < k; c++) {
+                const d = (xs[i] - cx[c]) ** 2 + (ys[i] - cy[c]) ** 2;
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = c;
+                }
+            }
+            if (labels[i] !== best) {
+                labels[i] = best;
+                changed++;
+            }
+        }
+
+        if (changed === 0) break;
+
+        sumX.fill(0);
+        sumY.fill(0);
+        counts.fill(0);
+        for (let i = 0; i < n; i++) {
+            sumX[labels[i]] += xs[i];
+            sumY[labels[i]] += ys[i];
+            counts[labels[i]]++;
+        }
+        for (let c = 0; c < k; c++) {
+            if (counts[c] > 0) {
+                cx[c] = sumX[c] / counts[c];
+                cy[c] = sumY[c] / counts[c];
+            }
+        }
+
+        progress(`k-means iteration ${iteration + 1} (${changed} reassigned)`);
+    }
+
+    return labels;
+}
+
+function dbscan(xs, ys, eps, minPoints, progress) {
+    const n = xs.length;
+    const points = [];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (let i = 0; i < n; i++) {
+        points.push({ x: xs[i], y: ys[i], index: i });
+        minX = Math.min(minX, xs[i]);
+        minY = Math.min(minY, ys[i]);
+        maxX = Math.max(maxX, xs[i]);
+        maxY = Math.max(maxY, ys[i]);
+    }
+
+    const tree = new QuadTree({ x: minX - 1, y: minY - 1, width: maxX - minX + 2, height: maxY - minY + 2 }, 8, 12);
+    for (const point of points) {
+        tree.insert(point);
+    }
+
+    const epsSquared = eps * eps;
+    const neighbors = (i) => tree
+        .query({ x: xs[i] - eps, y: ys[i] - eps, width: eps * 2, height: eps * 2 })
+        .filter(p => (p.x - xs[i]) ** 2 + (p.y - ys[i]) ** 2 <= epsSquared)
+        .map(p => p.index);
+
+    const UNVISITED = -2;
+    const NOISE = -1;
+    const labels = new Int32Array(n).fill(UNVISITED);
+    let cluster = 0;
+
+    for (let i = 0; i < n; i++) {
+        if (labels[i] !== UNVISITED) continue;
+
+        const seeds = neighbors(i);
+        if (seeds.length < minPoints) {
+            labels[i] = NOISE;
+            continue;
+        }
+
+        // Expand a new cluster from this core point
+        labels[i] = cluster;
+        const queue = seeds.filter(j => j !== i);
+
+        for (let q = 0; q < queue.length; q++) {
+            const j = queue[q];
+
+            if (labels[j] === NOISE) {
+                labels[j] = cluster; // Border point
+            }
+            if (labels[j] !== UNVISITED) continue;
+
+            labels[j] = cluster;
+            const expansion = neighbors(j);
+            if (expansion.length >= minPoints) {
+                for (const m of expansion) {
+                    if (labels[m] === UNVISITED || labels[m] === NOISE) {
+                        queue.push(m);
+                    }
+                }
+            }
+        }
+
+        cluster++;
+        if (cluster % 10 === 0) {
+            progress(`DBSCAN found ${cluster} clusters (${i + 1}/${n} points scanned)`);
+        }
+    }
+
+    return labels;
+}
+
+// Renumber clusters so 0 is the largest; noise stays -1
+function relabelBySize(labels) {
+    const counts = new Map();
+    for (const label of labels) {
+        if (label >= 0) counts.set(label, (counts.get(label) || 0) + 1);
+    }
+
+    const order = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    const mapping = new Map(order.map((label, index) => [label, index]));
+
+    return Int32Array.from(labels, label => (label >= 0 ? mapping.get(label) : -1));
+}
@@ -0,0 +1,376 @@
+/**
+ * Clustering.js - k-means / DBSCAN clustering of the layout, drawn as hull overlays
+ *
+ * The clustering itself runs in cluster-worker.js. Each resulting cluster gets
+ * a convex hull, its point count and its most distinctive prompt terms.
+ */
+
+class ClusterManager {
+    constructor(labeler, palette) {
+        this.panel = document.getElementById('cluster-panel');
+        this.algorithmSelect = document.getElementById('cluster-algorithm');
+        this.kInput = document.getElementById('cluster-k');
+        this.epsInput = document.getElementById('cluster-eps');
+        this.minPointsInput = document.getElementById('cluster-min-points');
+        this.runBtn = document.getElementById('cluster-run');
+        this.clearBtn = document.getElementById('cluster-clear');
+        this.statusEl = document.getElementById('cluster-status');
+
+        this.labeler = labeler; // Shares tokenizing and stopwords with the region labels
+        this.palette = palette; // Same colors as the "Cluster" color-by mode
+
+        this.TOP_TERMS = 3;
+        this.MIN_LABEL_SCREEN_SIZE = 80; // Hulls narrower than this on screen get no label
+
+        this.enabled = false;
+        this.points = [];
+        this.scaleFactor = 1;
+        this.clusters = []; // [{index, name, ids, hull, bounds, centroid, terms, color}]
+
+        this.worker = null;
+        this.runId = 0;
+
+        this.onChange = null;
+
+        this.init();
+    }
+
+    init() {
+        this.algorithmSelect.addEventListener('change', () => {
+            this.updateParameterRows();
+        });
+
+        this.runBtn.addEventListener('click', () => {
+            this.run();
+        });
+
+        this.clearBtn.addEventListener('click', () => {
+            this.clear();
+        });
+
+        this.updateParameterRows();
+    }
+
+    // points in map (scaled) coordinates; eps is entered in original data units
+    setData(points, scaleFactor) {
+        this.points = points;
+        this.scaleFactor = scaleFactor;
+        this.clear();
+    }
+
+    updateParameterRows() {
+        const algorithm = this.algorithmSelect.value;
+        this.panel.querySelectorAll('[data-algorithm]').forEach(row => {
+            row.hidden = row.dataset.algorithm !== algorithm;
+        });
+    }
+
+    getParameters() {
+        const algorithm = this.algorithmSelect.value;
+
+        if (algorithm === 'kmeans') {
+            const k = parseInt(this.kInput.value, 10);
+            if (!(k >= 1)) throw new Error('k must be a positive whole number');
+            return { algorithm, params: { k } };
+        }
+
+        const eps = parseFloat(this.epsInput.value);
+        const minPoints = parseInt(this.minPointsInput.value, 10);
+        if (!(eps > 0)) throw new Error('eps must be greater than 0');
+        if (!(minPoints >= 1)) throw new Error('min points must be a positive whole number');
+        return { algorithm, params: { eps: eps * this.scaleFactor, minPoints } };
+    }
+
+    run() {
+        if (this.points.length === 0) return;
+
+        let request;
+        try {
+            request = this.getParameters();
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        // A new run replaces one still in progress
+        if (this.worker) {
+            this.worker.terminate();
+        }
+
+        try {
+            this.worker = new Worker('js/cluster-worker.js');
+        } catch (error) {
+            this.worker = null;
+            this.setStatus(`Clustering needs web workers: ${error.message}`, true);
+            return;
+        }
+
+        const runId = ++this.runId;
+        const xs = Float64Array.from(this.points, p => p.x);
+        const ys = Float64Array.from(this.points, p => p.y);
+
+        this.worker.onmessage = (e) => {
+            if (e.data.runId !== this.runId) return;
+
+            if (e.data.type === 'progress') {
+                this.setStatus(e.data.message);
+            } else if (e.data.type === 'result') {
+                this.finishRun(e.data.labels);
+            } else if (e.data.type === 'error') {
+                this.finishRun(null);
+                this.setStatus(`Clustering failed: ${e.data.message}`, true);
+            }
+        };
+
+        this.worker.onerror = (e) => {
+            this.finishRun(null);
+            this.setStatus(`Clustering failed: ${e.message}`, true);
+        };
+
+        this.runBtn.disabled = true;
+        this.setStatus('Clustering…');
+        this.worker.postMessage({ runId, ...request, xs, ys }, [xs.buffer, ys.buffer]);
+    }
+
+    finishRun(labels) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.runBtn.disabled = false;
+
+        if (labels) {
+            this.setLabels(labels);
+        }
+    }
+
+    // labels[i] is the cluster of this.points[i], -1 for noise
+    setLabels(labels) {
+        const members = [];
+        labels.forEach((label, i) => {
+            if (label < 0) return;
+            if (!members[label]) members[label] = [];
+            members[label].push(this.points[i]);
+        });
+
+        const terms = this.computeTerms(members);
+
+        this.clusters = members.map((points, index) => ({
+            index,
+            name: `Cluster ${index + 1}`,
+            ids: points.map(p => p.id),
+            ...this.getGeometry(points),
+            terms: terms[index],
+            color: this.palette[index % this.palette.length]
+        }));
+
+        const noise = labels.reduce((count, label) => count + (label < 0 ? 1 : 0), 0);
+        this.setStatus(`${this.clusters.length} clusters` + (noise > 0 ? `, ${noise.toLocaleString()} noise points` : ''));
+
+        const assignments = new Map();
+        labels.forEach((label, i) => assignments.set(this.points[i].id, label));
+
+        if (this.onChange) {
+            this.onChange(assignments);
+        }
+    }
+
+    // Hull, bounds and centroid of a cluster's points at their current positions
+    getGeometry(points) {
+        return {
+            hull: this.convexHull(points),
+            bounds: this.getBounds(points),
+            centroid: {
+                x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+            }
+        };
+    }
+
+    // Redraw the same clusters around the points' new positions, e.g. after a layout change
+    updateGeometry() {
+        if (this.clusters.length === 0) return;
+
+        const byId = new Map(this.points.map(p => [p.id, p]));
+        for (const cluster of this.clusters) {
+            Object.assign(cluster, this.getGeometry(cluster.ids.map(id => byId.get(id))));
+        }
+    }
+
+    clear() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.runId++;
+        this.runBtn.disabled = false;
+
+        const hadClusters = this.clusters.length > 0;
+        this.clusters = [];
+        this.setStatus('');
+
+        if (hadClusters && this.onChange) {
+            this.onChange(null);
+        }
+    }
+
+    // Most distinctive terms per cluster (TF-IDF against the other clusters)
+    computeTerms(members) {
+        const counts = members.map(points => {
+            const termCounts = new Map();
+            for (const point of points) {
+                for (const term of this.labeler.tokenize(point.prompt)) {
+                    termCounts.set(term, (termCounts.get(term) || 0) + 1);
+                }
+            }
+            return termCounts;
+        });
+
+        const clusterFrequency = new Map();
+        for (const termCounts of counts) {
+            for (const term of termCounts.keys()) {
+                clusterFrequency.set(term, (clusterFrequency.get(term) || 0) + 1);
+            }
+        }
+
+        return counts.map((termCounts, index) => {
+            const size = members[index].length;
+            // With a single cluster every idf is 0, so fall back to plain frequency
+            const idf = (term) => members.length > 1 ? Math.log(members.length / clusterFrequency.get(term)) : 1;
+
+            return [...termCounts]
+                .filter(([, count]) => count >= 2)
+                .map(([term, count]) => ({ term, score: (count / size) * idf(term) }))
+                .filter(entry => entry.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.TOP_TERMS)
+                .map(entry => entry.term);
+        });
+    }
+
+    // Andrew's monotone chain
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted.map(p => ({ x: p.x, y: p.y }));
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        const upper = [];
+
+        for (const p of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+                lower.pop();
+            }
+            lower.push(p);
+        }
+
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+                upper.pop();
+            }
+            upper.push(p);
+        }
+
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper).map(p => ({ x: p.x, y: p.y }));
+    }
+
+    getBounds(points) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        for (const p of points) {
+            bounds.minX = Math.min(bounds.minX, p.x);
+            bounds.minY = Math.min(bounds.minY, p.y);
+            bounds.maxX = Math.max(bounds.maxX, p.x);
+            bounds.maxY = Math.max(bounds.maxY, p.y);
+        }
+
+        return bounds;
+    }
+
+    // Smallest hull containing a map position, so nested hulls stay clickable
+    getClusterAt(map, x, y) {
+        if (!this.enabled) return null;
+
+        let best = null;
+        let bestArea = Infinity;
+
+        for (const cluster of this.clusters) {
+            const { minX, minY, maxX, maxY } = cluster.bounds;
+            if (x < minX || x > maxX || y < minY || y > maxY) continue;
+            if (cluster.hull.length < 3 || !map.pointInPolygon({ x, y }, cluster.hull)) continue;
+
+            const area = (maxX - minX) * (maxY - minY);
+            if (area < bestArea) {
+                best = cluster;
+                bestArea = area;
+            }
+        }
+
+        return best;
+    }
+
+    // Overlay hook called by EmbeddingMap.render
+    render(ctx, map) {
+        if (!this.enabled || this.clusters.length === 0) return;
+
+        ctx.save();
+        ctx.lineJoin = 'round';
+
+        for (const cluster of this.clusters) {
+            if (cluster.hull.length < 3) continue;
+
+            ctx.beginPath();
+            cluster.hull.forEach((p, i) => {
+                const screen = map.worldToScreen(p.x, p.y);
+                if (i === 0) {
+                    ctx.moveTo(screen.x, screen.y);
+                } else {
+                    ctx.lineTo(screen.x, screen.y);
+                }
+            });
+            ctx.closePath();
+
+            ctx.globalAlpha = 0.12;
+            ctx.fillStyle = cluster.color;
+            ctx.fill();
+            ctx.globalAlpha = 0.7;
+            ctx.strokeStyle = cluster.color;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 1;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '600 12px sans-serif';
+
+        for (const cluster of this.clusters) {
+            const screenWidth = (cluster.bounds.maxX - cluster.bounds.minX) * map.camera.zoom;
+            if (screenWidth < this.MIN_LABEL_SCREEN_SIZE) continue;
+
+            const screen = map.worldToScreen(cluster.centroid.x, cluster.centroid.y);
+            const text = `${cluster.ids.length.toLocaleString()}` + (cluster.terms.length > 0 ? ` · ${cluster.terms.join(', ')}` : '');
+
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(10, 10, 10, 0.85)';
+            ctx.strokeText(text, screen.x, screen.y);
+            ctx.fillStyle = cluster.color;
+            ctx.fillText(text, screen.x, screen.y);
+        }
+
+        ctx.restore();
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.classList.toggle('show', enabled);
+    }
+}
@@ -0,0 +1,363 @@
+/**
+ * Coloring.js - "Color by" modes for points, with a legend
+ *
+ * Modes: keyword categories, prompt length, id batch, cluster assignment and
+ * any extra numeric or categorical field found on the points in data.json.
+ * Categorical legends toggle categories on and off; hidden points are dropped
+ * from rendering and hit testing just like filtered ones.
+ */
+
+class ColorManager {
+    constructor() {
+        this.modeSelect = document.getElementById('color-mode');
+        this.optionsEl = document.getElementById('color-options');
+        this.legendEl = document.getElementById('color-legend');
+
+        this.PALETTE = [
+            '#6366f1', '#f59e0b', '#10b981', '#ef4444', '#06b6d4',
+            '#ec4899', '#84cc16', '#a855f7', '#f97316', '#14b8a6'
+        ];
+        this.OTHER_COLOR = '#4b5563';
+
+        // Viridis, for continuous values
+        this.RAMP = ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'];
+
+        this.BUILTIN_FIELDS = ['id', 'x', 'y', 'prompt'];
+
+        this.points = [];
+        this.fields = []; // [{name, type: 'numeric'|'categorical'}]
+        this.clusters = null; // Map(id -> cluster index, -1 for noise)
+
+        this.mode = 'none';
+        this.batchSize = 500;
+        this.keywordText = [
+            'animals: lion, cat, dog, bird, wolf, fox, fish, horse',
+            'architecture: building, castle, temple, house, tower, bridge',
+            'nature: forest, mountain, waterfall, river, ocean, flower',
+            'technology: robot, cyberpunk, neon, circuit, computer, spaceship'
+        ].join('\n');
+
+        this.colors = new Map(); // id -> color for the current mode
+        this.categories = []; // [{key, label, color, count}] for categorical modes
+        this.pointCategory = new Map(); // id -> category key
+        this.hiddenCategories = new Set();
+        this.range = null; // {min, max} for continuous modes
+
+        this.onChange = null;
+
+        this.init();
+    }
+
+    init() {
+        this.modeSelect.addEventListener('change', () => {
+            this.setMode(this.modeSelect.value);
+        });
+
+        // Legend categories toggle visibility
+        this.legendEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.legend-item[data-category]');
+            if (item) {
+                this.toggleCategory(item.dataset.category);
+            }
+        });
+
+        this.optionsEl.addEventListener('change', (e) => {
+            if (e.target.id === 'color-keywords') {
+                this.keywordText = e.target.value;
+                this.update();
+            } else if (e.target.id === 'color-batch-size') {
+                const size = parseInt(e.target.value, 10);
+                if (size > 0) {
+                    this.batchSize = size;
+                    this.update();
+                }
+            }
+        });
+    }
+
+    // Points in original data units, as loaded from data.json
+    setData(points) {
+        this.points = points;
+        this.fields = this.detectFields(points);
+        this.clusters = null;
+
+        if (this.mode.startsWith('field:') && !this.fields.some(f => 'field:' + f.name === this.mode)) {
+            this.mode = 'none';
+        }
+
+        this.renderModeOptions();
+        this.update();
+    }
+
+    // Extra per-point fields: numeric when every present value is a number
+    detectFields(points) {
+        const types = new Map();
+
+        for (const point of points) {
+            for (const [name, value] of Object.entries(point)) {
+                if (this.BUILTIN_FIELDS.includes(name) || value === null || value === undefined) continue;
+
+                const type = typeof value === 'number' ? 'numeric' : 'categorical';
+                if (!types.has(name) || types.get(name) === 'numeric') {
+                    types.set(name, type);
+                }
+            }
+        }
+
+        return [...types].map(([name, type]) => ({ name, type }));
+    }
+
+    // cluster index per id (-1 = noise), or null when no clustering has been run
+    setClusters(assignments) {
+        const wasCluster = this.mode === 'cluster';
+
+        this.clusters = assignments;
+        this.renderModeOptions();
+
+        // Cluster numbers mean something new after every run
+        if (wasCluster) {
+            this.hiddenCategories.clear();
+            this.update();
+        }
+    }
+
+    renderModeOptions() {
+        const options = [
+            ['none', 'None'],
+            ['keywords', 'Keyword category'],
+            ['length', 'Prompt length'],
+            ['batch', 'ID batch'],
+            ['cluster', this.clusters ? 'Cluster' : 'Cluster (run clustering first)']
+        ];
+
+        for (const field of this.fields) {
+            options.push(['field:' + field.name, `Field: ${field.name}`]);
+        }
+
+        // Field names come from the data, so they're set as properties rather than markup
+        this.modeSelect.replaceChildren(...options.map(([value, label]) => {
+            const option = new Option(label, value);
+            option.disabled = value === 'cluster' && !this.clusters;
+            return option;
+        }));
+
+        if (this.mode === 'cluster' && !this.clusters) {
+            this.mode = 'none';
+        }
+        this.modeSelect.value = this.mode;
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'cluster' && !this.clusters ? 'none' : mode;
+        this.modeSelect.value = this.mode;
+        this.hiddenCategories.clear();
+        this.renderOptions();
+        this.update();
+    }
+
+    renderOptions() {
+        if (this.mode === 'keywords') {
+            this.optionsEl.innerHTML = `
+                <textarea id="color-keywords" class="color-keywords" rows="4" spellcheck="false"
+                    title="One category per line: name: term, term, ...">${this.escapeHtml(this.keywordText)}</textarea>
+            `;
+        } else if (this.mode === 'batch') {
+            this.optionsEl.innerHTML = `
+                <label class="map-panel-row">
+                    <span>Batch size</span>
+                    <input type="number" id="color-batch-size" class="color-number" min="1" value="${this.batchSize}">
+                </label>
+            `;
+        } else {
+            this.optionsEl.innerHTML = '';
+        }
+    }
+
+    // Recompute per-point colors for the current mode
+    update() {
+        this.colors = new Map();
+        this.pointCategory = new Map();
+        this.categories = [];
+        this.range = null;
+
+        const field = this.fields.find(f => 'field:' + f.name === this.mode);
+
+        if (this.mode === 'keywords') {
+            this.assignCategories(this.keywordCategorizer());
+        } else if (this.mode === 'batch') {
+            this.assignCategories((point) => {
+                const start = Math.floor(point.id / this.batchSize) * this.batchSize;
+                return { key: String(start), label: `${start}–${start + this.batchSize - 1}`, order: start };
+            });
+        } else if (this.mode === 'cluster' && this.clusters) {
+            this.assignCategories((point) => {
+                const cluster = this.clusters.has(point.id) ? this.clusters.get(point.id) : -1;
+                return cluster < 0
+                    ? { key: 'noise', label: 'Noise', order: Infinity, other: true }
+                    : { key: String(cluster), label: `Cluster ${cluster + 1}`, order: cluster };
+            });
+        } else if (this.mode === 'length') {
+            this.assignContinuous(point => point.prompt.length);
+        } else if (field && field.type === 'numeric') {
+            this.assignContinuous(point => point[field.name]);
+        } else if (field) {
+            this.assignCategories((point) => {
+                const value = point[field.name];
+                return value === null || value === undefined
+                    ? { key: '', label: '(none)', order: Infinity, other: true }
+                    : { key: String(value), label: String(value), order: null };
+            });
+        }
+
+        this.renderLegend();
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // Parses "name: term, term" lines; first matching line wins
+    keywordCategorizer() {
+        const lines = this.keywordText.split('\n').map(line => line.trim()).filter(Boolean);
+        const categories = lines.map((line, order) => {
+            const colon = line.indexOf(':');
+            const label = colon === -1 ? line : line.slice(0, colon).trim();
+            const termText = colon === -1 ? line : line.slice(colon + 1);
+            const terms = termText.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+            return { key: String(order), label: label || `Category ${order + 1}`, order, terms };
+        });
+
+        return (point) => {
+            const words = new Set(point.prompt.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+            const match = categories.find(category => category.terms.some(term => words.has(term)));
+            return match || { key: 'other', label: 'Other', order: Infinity, other: true };
+        };
+    }
+
+    assignCategories(categorize) {
+        const byKey = new Map();
+
+        for (const point of this.points) {
+            const category = categorize(point);
+            let entry = byKey.get(category.key);
+            if (!entry) {
+                entry = { ...category, count: 0 };
+                byKey.set(category.key, entry);
+            }
+            entry.count++;
+            this.pointCategory.set(point.id, category.key);
+        }
+
+        // Explicit order first, then the largest categories; catch-alls go last
+        this.categories = [...byKey.values()].sort((a, b) => {
+            if (a.order !== null && b.order !== null) return a.order - b.order;
+            if (a.order !== null) return a.other ? 1 : -1;
+            if (b.order !== null) return b.other ? -1 : 1;
+            return b.count - a.count;
+        });
+
+        let colorIndex = 0;
+        for (const category of this.categories) {
+            category.color = category.other ? this.OTHER_COLOR : this.PALETTE[colorIndex++ % this.PALETTE.length];
+        }
+
+        const colorByKey = new Map(this.categories.map(c => [c.key, c.color]));
+        for (const [id, key] of this.pointCategory) {
+            this.colors.set(id, colorByKey.get(key));
+        }
+    }
+
+    assignContinuous(getValue) {
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (const point of this.points) {
+            const value = getValue(point);
+            if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+
+        if (min === Infinity) return;
+
+        this.range = { min, max };
+        const span = max - min || 1;
+
+        for (const point of this.points) {
+            const value = getValue(point);
+            this.colors.set(point.id, typeof value === 'number' && Number.isFinite(value)
+                ? this.rampColor((value - min) / span)
+                : this.OTHER_COLOR);
+        }
+    }
+
+    rampColor(t) {
+        const index = Math.max(0, Math.min(this.RAMP.length - 1, Math.round(t * (this.RAMP.length - 1))));
+        return this.RAMP[index];
+    }
+
+    renderLegend() {
+        if (this.categories.length > 0) {
+            // Category keys come from the data, so they're set as properties rather than markup
+            this.legendEl.replaceChildren(...this.categories.map(category => {
+                const item = document.createElement('div');
+                item.className = 'legend-item';
+                item.classList.toggle('hidden', this.hiddenCategories.has(category.key));
+                item.dataset.category = category.key;
+                item.innerHTML = `
+                    <span class="legend-swatch" style="background: ${category.color}"></span>
+                    <span class="legend-label">${this.escapeHtml(category.label)}</span>
+                    <span class="legend-count">${category.count.toLocaleString()}</span>
+                `;
+                return item;
+            }));
+        } else if (this.range) {
+            this.legendEl.innerHTML = `
+                <div class="legend-ramp" style="background: linear-gradient(to right, ${this.RAMP.join(', ')})"></div>
+                <div class="legend-range">
+                    <span>${this.formatNumber(this.range.min)}</span>
+                    <span>${this.formatNumber(this.range.max)}</span>
+                </div>
+            `;
+        } else {
+            this.legendEl.innerHTML = '';
+        }
+    }
+
+    toggleCategory(key) {
+        if (this.hiddenCategories.has(key)) {
+            this.hiddenCategories.delete(key);
+        } else {
+            this.hiddenCategories.add(key);
+        }
+
+        this.renderLegend();
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    isActive() {
+        return this.colors.size > 0;
+    }
+
+    // Color for a point id, or null in 'none' mode
+    getColor(id) {
+        return this.colors.get(id) || null;
+    }
+
+    isHidden(id) {
+        return this.hiddenCategories.size > 0 && this.hiddenCategories.has(this.pointCategory.get(id));
+    }
+
+    formatNumber(value) {
+        return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
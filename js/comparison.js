@@ -0,0 +1,168 @@
+/**
+ * Comparison.js - Compare the main search with a second query
+ *
+ * The main search is set A and the query typed here is set B. While both have
+ * matches the map shows only those, colored by set (or a third color for
+ * images in both), and the panel reports each set's size, centroid and spread
+ * in original data units, their overlap and how far apart their centroids are.
+ */
+
+class QueryComparison {
+    constructor(search) {
+        this.search = search;
+
+        this.panel = document.getElementById('compare-panel');
+        this.queryInput = document.getElementById('compare-query');
+        this.primaryLabel = document.getElementById('compare-primary');
+        this.statsEl = document.getElementById('compare-stats');
+        this.fitBtn = document.getElementById('compare-fit');
+        this.statusEl = document.getElementById('compare-status');
+
+        this.COLORS = { a: '#60a5fa', b: '#f97316', both: '#a3e635' };
+        this.DEBOUNCE = 300; // ms
+
+        this.enabled = false;
+        this.pointsById = new Map();
+        this.primaryIds = null; // Set of ids matching the main search, or null without one
+        this.secondaryIds = null; // Set of ids matching the second query, or null without one
+        this.queryTimeout = null;
+
+        this.onChange = null; // The sets to color changed (see getSets)
+        this.onFit = null; // Called with the ids of both sets
+
+        this.init();
+    }
+
+    init() {
+        this.queryInput.addEventListener('input', () => {
+            clearTimeout(this.queryTimeout);
+            this.queryTimeout = setTimeout(() => this.runQuery(), this.DEBOUNCE);
+        });
+
+        this.fitBtn.addEventListener('click', () => {
+            const sets = this.getSets();
+            if (sets && this.onFit) {
+                this.onFit(new Set([...sets.a, ...sets.b]));
+            }
+        });
+
+        this.panel.querySelectorAll('[data-compare-swatch]').forEach(swatch => {
+            swatch.style.background = this.COLORS[swatch.dataset.compareSwatch];
+        });
+    }
+
+    // Points in original data units, as loaded from data.json
+    setData(points) {
+        this.pointsById = new Map(points.map(p => [p.id, p]));
+        this.runQuery();
+    }
+
+    // Matches of the main search (null when it is empty)
+    setPrimary(ids) {
+        this.primaryIds = ids;
+        this.update();
+    }
+
+    runQuery() {
+        clearTimeout(this.queryTimeout);
+        const query = this.queryInput.value.trim();
+
+        if (!query) {
+            this.secondaryIds = null;
+            this.setStatus('');
+        } else {
+            try {
+                this.secondaryIds = new Set(this.search.evaluate(query).results.map(r => r.point.id));
+                this.setStatus('');
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error;
+
+                // Keep the previous matches until the query is valid again
+                this.setStatus(error.message, true);
+                return;
+            }
+        }
+
+        this.update();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // {a, b, colors} while comparing two queries with matches, otherwise null
+    getSets() {
+        if (!this.enabled || this.primaryIds === null || this.secondaryIds === null) {
+            return null;
+        }
+        return { a: this.primaryIds, b: this.secondaryIds, colors: this.COLORS };
+    }
+
+    // Count, centroid and spread (root mean square distance from the centroid) of a set
+    getStats(ids) {
+        const points = [...ids].map(id => this.pointsById.get(id)).filter(Boolean);
+        if (points.length === 0) {
+            return { count: 0, centroid: null, spread: 0 };
+        }
+
+        const centroid = {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        };
+        const variance = points.reduce((sum, p) => sum + (p.x - centroid.x) ** 2 + (p.y - centroid.y) ** 2, 0) / points.length;
+
+        return { count: points.length, centroid, spread: Math.sqrt(variance) };
+    }
+
+    // Also call when the points move to another layout, which changes centroids and spreads
+    update() {
+        const query = this.search.getSearchQuery();
+        this.primaryLabel.textContent = this.primaryIds !== null && query ? query : 'Search above for the first query';
+        this.fitBtn.disabled = this.getSets() === null;
+
+        if (this.primaryIds === null || this.secondaryIds === null) {
+            this.statsEl.innerHTML = '';
+            return;
+        }
+
+        const a = this.getStats(this.primaryIds);
+        const b = this.getStats(this.secondaryIds);
+        const overlap = [...this.primaryIds].filter(id => this.secondaryIds.has(id)).length;
+
+        const format = (value) => value.toFixed(2);
+        const centroid = (stats) => (stats.centroid ? `(${format(stats.centroid.x)}, ${format(stats.centroid.y)})` : '–');
+        const distance = a.centroid && b.centroid
+            ? format(Math.hypot(a.centroid.x - b.centroid.x, a.centroid.y - b.centroid.y))
+            : '–';
+
+        this.statsEl.innerHTML = `
+            <table class="compare-table">
+                <tr><th></th><th>A</th><th>B</th></tr>
+                <tr><td>Matches</td><td>${a.count.toLocaleString()}</td><td>${b.count.toLocaleString()}</td></tr>
+                <tr><td>Centroid</td><td>${centroid(a)}</td><td>${centroid(b)}</td></tr>
+                <tr><td>Spread</td><td>${a.count ? format(a.spread) : '–'}</td><td>${b.count ? format(b.spread) : '–'}</td></tr>
+            </table>
+            <div class="compare-summary">
+                Both: ${overlap.toLocaleString()} · Centroid distance: ${distance}
+            </div>
+        `;
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.classList.toggle('show', enabled);
+        this.update();
+
+        if (enabled) {
+            this.queryInput.focus();
+        }
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Datasets.js - datasets.json manifest and the header dataset switcher
+ *
+ * datasets.json:
+ *   {
+ *     "default": "sd15",
+ *     "datasets": [{
+ *       "id": "sd15", "name": "SD 1.5", "title": "SD 1.5 CLIP Embedding Space",
+ *       "data": "data.json", "thumbnails": "thumbnails/image_{id}.jpg",
+ *       "images": "images/image_{id}.png", "atlas": "thumbnails/atlas.json",
+ *       "metadata": {"model": "..."}
+ *     }]
+ *   }
+ *
+ * Only id and data are required. atlas defaults to atlas.json in the thumbnails'
+ * directory and is skipped when that file doesn't exist; null turns it off.
+ * Datasets with several projections also list "layout" and "layouts" (see
+ * layouts.js). Without a manifest (or with ?data= in the URL) a single dataset
+ * is used and the switcher stays hidden.
+ */
+
+class DatasetManager {
+    constructor() {
+        this.select = document.getElementById('dataset-select');
+        this.titleEl = document.getElementById('map-title');
+
+        this.STORAGE_KEY = 'embeddingMap.dataset';
+        this.DEFAULT_THUMBNAILS = 'thumbnails/image_{id}.jpg';
+
+        this.datasets = [];
+        this.defaultId = null;
+        this.current = null;
+
+        this.onChange = null;
+
+        this.init();
+    }
+
+    init() {
+        this.select.addEventListener('change', () => {
+            if (this.onChange) {
+                this.onChange(this.select.value);
+            }
+        });
+    }
+
+    async load(manifestUrl = 'datasets.json') {
+        const dataUrl = new URLSearchParams(window.location.search).get('data');
+
+        if (dataUrl) {
+            this.setDatasets([{ id: dataUrl, name: dataUrl, data: dataUrl }], dataUrl);
+            return;
+        }
+
+        // No manifest means a single dataset; one that exists but doesn't parse is an error
+        let response = null;
+        try {
+            response = await fetch(manifestUrl);
+        } catch (error) {
+            // Offline or blocked: same as no manifest
+        }
+
+        let manifest = null;
+        if (response && response.ok) {
+            try {
+                manifest = await response.json();
+            } catch (error) {
+                throw new Error(`${manifestUrl} is not valid JSON: ${error.message}`);
+            }
+        }
+
+        const entries = manifest && Array.isArray(manifest.datasets)
+            ? manifest.datasets.filter(entry => entry && entry.id && entry.data)
+            : [];
+
+        if (entries.length === 0) {
+            this.setDatasets([{ id: 'default', name: 'Default', data: 'data.json' }], 'default');
+            return;
+        }
+
+        this.setDatasets(entries, manifest.default);
+    }
+
+    setDatasets(entries, defaultId) {
+        this.datasets = entries.map(entry => {
+            const thumbnails = entry.thumbnails || this.DEFAULT_THUMBNAILS;
+            return {
+                name: entry.id,
+                images: null,
+                atlas: this.defaultAtlas(thumbnails),
+                metadata: {},
+                ...entry,
+                thumbnails,
+                id: String(entry.id)
+            };
+        });
+        this.defaultId = this.get(defaultId) ? String(defaultId) : this.datasets[0].id;
+
+        this.select.replaceChildren(...this.datasets.map(dataset => new Option(dataset.name, dataset.id)));
+        this.select.hidden = this.datasets.length < 2;
+    }
+
+    // atlas.json next to the thumbnails; the viewer falls back to single files when it's missing
+    defaultAtlas(thumbnails) {
+        const directory = thumbnails.replace(/[^/]*$/, '');
+        return directory.includes('{id}') ? null : `${directory}atlas.json`;
+    }
+
+    // Whether the user has more than one dataset to choose from
+    hasChoice() {
+        return this.datasets.length > 1;
+    }
+
+    get(id) {
+        return this.datasets.find(dataset => dataset.id === String(id)) || null;
+    }
+
+    // Dataset to start with: the requested id, then the remembered one, then the default
+    pick(requestedId) {
+        return this.get(requestedId) || this.get(this.getRemembered()) || this.get(this.defaultId);
+    }
+
+    // Called once a dataset has loaded successfully
+    setCurrent(dataset) {
+        this.current = dataset;
+        this.select.value = dataset.id;
+        this.select.title = this.describe(dataset);
+
+        if (dataset.title) {
+            this.titleEl.textContent = dataset.title;
+            document.title = `Interactive Embedding Map - ${dataset.title}`;
+        }
+
+        if (this.hasChoice()) {
+            this.remember(dataset.id);
+        }
+    }
+
+    describe(dataset) {
+        const lines = Object.entries(dataset.metadata).map(([key, value]) => `${key}: ${value}`);
+        if (dataset.description) {
+            lines.unshift(dataset.description);
+        }
+        return lines.join('\n');
+    }
+
+    getRemembered() {
+        try {
+            return localStorage.getItem(this.STORAGE_KEY);
+        } catch (error) {
+            return null; // Storage can be unavailable (e.g. privacy modes)
+        }
+    }
+
+    remember(id) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, id);
+        } catch (error) {
+            // Not remembering the choice is harmless
+        }
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Declutter.js - Keep thumbnails from piling up on each other at small and medium zoom
+ *
+ * Thumbnails are placed one at a time by priority: the selected point, then
+ * search matches, then whatever is nearest the center of the view. A thumbnail
+ * that would overlap one already placed is drawn as a dot instead, or, with
+ * displacement on, nudged to a free spot nearby and tied to its true position
+ * by a leader line.
+ */
+
+class ThumbnailDeclutterer {
+    constructor() {
+        this.enabled = false;
+        this.displace = false;
+
+        this.GAP = 2; // Screen pixels kept free between thumbnails
+        this.DOT_SIZE = 6; // Screen size of the points that lose out
+        this.DISPLACEMENT_STEPS = [0.35, 0.7]; // Nudge distances to try, in thumbnail widths
+        this.DIRECTIONS = 8;
+
+        this.cacheKey = null;
+        this.cache = null;
+    }
+
+    // {thumbnails: [{point, x, y, displaced}], dots: [point]} in world coordinates, where x, y is
+    // the center the thumbnail is drawn at. Thumbnails never overlap, so their order doesn't matter.
+    layout(map, points, size) {
+        const key = [
+            map.camera.x, map.camera.y, map.camera.zoom, size, points.length,
+            map.filterVersion, map.selectedPoint ? map.selectedPoint.id : '', this.displace
+        ].join('|');
+
+        // Positions change every frame of a morph without anything else changing
+        if (key === this.cacheKey && !map.isMorphing()) {
+            return this.cache;
+        }
+
+        const zoom = map.camera.zoom;
+        const span = (size + this.GAP) / zoom; // Closest two thumbnail centers may be, in world units
+        const grid = new Map(); // cell key -> placed centers, cells span wide
+        const thumbnails = [];
+        const dots = [];
+
+        const cellKey = (i, j) => i * 1048576 + j;
+        const isFree = (x, y) => {
+            const ci = Math.floor(x / span);
+            const cj = Math.floor(y / span);
+
+            for (let i = ci - 1; i <= ci + 1; i++) {
+                for (let j = cj - 1; j <= cj + 1; j++) {
+                    const cell = grid.get(cellKey(i, j));
+                    if (!cell) continue;
+
+                    for (const other of cell) {
+                        if (Math.abs(other.x - x) < span && Math.abs(other.y - y) < span) return false;
+                    }
+                }
+            }
+            return true;
+        };
+
+        const offsets = this.getOffsets(size / zoom);
+
+        for (const point of this.rank(map, points)) {
+            const offset = offsets.find(([dx, dy]) => isFree(point.x + dx, point.y + dy));
+
+            if (!offset) {
+                dots.push(point);
+                continue;
+            }
+
+            const x = point.x + offset[0];
+            const y = point.y + offset[1];
+            const cell = cellKey(Math.floor(x / span), Math.floor(y / span));
+
+            if (!grid.has(cell)) grid.set(cell, []);
+            grid.get(cell).push({ x, y });
+            thumbnails.push({ point, x, y, displaced: offset[0] !== 0 || offset[1] !== 0 });
+        }
+
+        this.cacheKey = key;
+        this.cache = { thumbnails, dots };
+        return this.cache;
+    }
+
+    // Most important first: selected, search matches, then by distance to the view center
+    rank(map, points) {
+        const tier = (point) => {
+            if (point === map.selectedPoint) return 0;
+            if (map.filteredIds !== null && map.filteredIds.has(point.id)) return 1;
+            return 2;
+        };
+
+        return points
+            .map(point => ({
+                point,
+                tier: tier(point),
+                distance: (point.x - map.camera.x) ** 2 + (point.y - map.camera.y) ** 2
+            }))
+            .sort((a, b) => a.tier - b.tier || a.distance - b.distance)
+            .map(entry => entry.point);
+    }
+
+    // Positions to try relative to the true one: in place first, then further out if displacing
+    getOffsets(thumbnailWidth) {
+        const offsets = [[0, 0]];
+        if (!this.displace) return offsets;
+
+        for (const step of this.DISPLACEMENT_STEPS) {
+            for (let i = 0; i < this.DIRECTIONS; i++) {
+                const angle = (i / this.DIRECTIONS) * Math.PI * 2;
+                offsets.push([
+                    Math.cos(angle) * step * thumbnailWidth,
+                    Math.sin(angle) * step * thumbnailWidth
+                ]);
+            }
+        }
+
+        return offsets;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    setDisplace(displace) {
+        this.displace = displace;
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Details.js - Pinned detail panel for the selected image
+ */
+
+class DetailPanel {
+    constructor() {
+        this.panel = document.getElementById('detail-panel');
+        this.titleEl = document.getElementById('detail-title');
+        this.imageEl = document.getElementById('detail-image');
+        this.promptEl = document.getElementById('detail-prompt');
+        this.metaEl = document.getElementById('detail-meta');
+        this.neighborsEl = document.getElementById('detail-neighbors');
+        this.neighborCountSelect = document.getElementById('detail-neighbor-count');
+        this.showNeighborsBtn = document.getElementById('detail-neighbors-show');
+        this.commentsEl = document.getElementById('detail-comments');
+        this.commentForm = document.getElementById('detail-comment-form');
+        this.commentInput = document.getElementById('detail-comment-input');
+        this.closeBtn = document.getElementById('detail-close');
+        this.copyBtn = document.getElementById('detail-copy');
+        this.zoomBtn = document.getElementById('detail-zoom');
+        this.openBtn = document.getElementById('detail-open');
+
+        this.point = null;
+        this.copyResetTimeout = null;
+
+        this.onClose = null;
+        this.onZoomTo = null;
+        this.onOpen = null; // Open the image in the lightbox
+        this.onNeighborClick = null;
+        this.onNeighborCountChange = null; // (k)
+        this.onShowNeighbors = null; // Toggle the neighbor lines on the map
+        this.onAddComment = null; // (pointId, text)
+        this.onDeleteComment = null; // (commentId)
+        this.getImageUrl = null; // id -> thumbnail URL for the current dataset
+
+        this.init();
+    }
+
+    init() {
+        this.closeBtn.addEventListener('click', () => {
+            if (this.onClose) {
+                this.onClose();
+            }
+        });
+
+        this.copyBtn.addEventListener('click', () => {
+            if (this.point) {
+                this.copyText(this.point.prompt);
+            }
+        });
+
+        this.zoomBtn.addEventListener('click', () => {
+            if (this.point && this.onZoomTo) {
+                this.onZoomTo(this.point.id);
+            }
+        });
+
+        this.openBtn.addEventListener('click', () => {
+            if (this.point && this.onOpen) {
+                this.onOpen(this.point.id);
+            }
+        });
+
+        this.commentForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = this.commentInput.value.trim();
+            if (this.point && text && this.onAddComment) {
+                this.commentInput.value = '';
+                this.onAddComment(this.point.id, text);
+            }
+        });
+
+        this.commentsEl.addEventListener('click', (e) => {
+            const button = e.target.closest('.detail-comment-delete');
+            if (button && this.onDeleteComment) {
+                this.onDeleteComment(button.dataset.commentId);
+            }
+        });
+
+        this.neighborCountSelect.addEventListener('change', () => {
+            if (this.onNeighborCountChange) {
+                this.onNeighborCountChange(this.getNeighborCount());
+            }
+        });
+
+        this.showNeighborsBtn.addEventListener('click', () => {
+            if (this.onShowNeighbors) {
+                this.onShowNeighbors();
+            }
+        });
+
+        this.neighborsEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.detail-neighbor[data-point-id]');
+            if (item && this.onNeighborClick) {
+                this.onNeighborClick(parseInt(item.dataset.pointId, 10));
+            }
+        });
+    }
+
+    // point: selected point, position: {x, y} in original data units,
+    // neighbors: [{point, distance}] with distances in original data units
+    show(point, position, neighbors) {
+        this.point = point;
+
+        this.titleEl.textContent = `Image #${point.id}`;
+        this.imageEl.src = this.getImageUrl(point.id);
+        this.imageEl.alt = point.prompt;
+        this.promptEl.textContent = point.prompt;
+        this.metaEl.textContent = `ID: ${point.id} · Position: (${position.x.toFixed(2)}, ${position.y.toFixed(2)})`;
+
+        this.renderNeighbors(neighbors);
+        this.resetCopyButton();
+
+        this.panel.classList.add('show');
+    }
+
+    hide() {
+        this.point = null;
+        this.panel.classList.remove('show');
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('show');
+    }
+
+    getNeighborCount() {
+        return parseInt(this.neighborCountSelect.value, 10);
+    }
+
+    setNeighborsShown(shown) {
+        this.showNeighborsBtn.classList.toggle('active', shown);
+        this.showNeighborsBtn.textContent = shown ? 'Hide on map' : 'Show on map';
+    }
+
+    renderNeighbors(neighbors) {
+        if (neighbors.length === 0) {
+            this.neighborsEl.innerHTML = '<div class="detail-empty">No neighbors</div>';
+            return;
+        }
+
+        this.neighborsEl.replaceChildren(...neighbors.map(({ point, distance }) => {
+            const item = document.createElement('div');
+            item.className = 'detail-neighbor';
+            item.dataset.pointId = point.id;
+            item.innerHTML = `
+                <img class="detail-neighbor-image" alt="" loading="lazy">
+                <div class="detail-neighbor-text">
+                    <div class="detail-neighbor-prompt">${this.escapeHtml(point.prompt)}</div>
+                    <div class="detail-neighbor-meta">#${point.id} · ${distance.toFixed(2)} away</div>
+                </div>
+            `;
+            // The URL comes from the dataset's thumbnail template, so it's set as a property rather than markup
+            item.querySelector('img').src = this.getImageUrl(point.id);
+            return item;
+        }));
+    }
+
+    // comments: annotations of type 'comment' on the shown point
+    setComments(comments) {
+        if (comments.length === 0) {
+            this.commentsEl.innerHTML = '<div class="detail-empty">No comments yet</div>';
+            return;
+        }
+
+        this.commentsEl.replaceChildren(...comments.map(comment => {
+            const item = document.createElement('div');
+            item.className = 'detail-comment';
+            item.innerHTML = `
+                <div class="detail-comment-text">${this.escapeHtml(comment.text) || '<span class="detail-empty">(empty)</span>'}</div>
+                <button class="detail-comment-delete" title="Delete comment">×</button>
+            `;
+            item.querySelector('.detail-comment-delete').dataset.commentId = comment.id;
+            return item;
+        }));
+    }
+
+    copyText(text) {
+        const done = () => {
+            this.copyBtn.textContent = 'Copied!';
+            clearTimeout(this.copyResetTimeout);
+            this.copyResetTimeout = setTimeout(() => this.resetCopyButton(), 1500);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(done, () => this.copyWithSelection(text, done));
+        } else {
+            this.copyWithSelection(text, done);
+        }
+    }
+
+    // Fallback for browsers without the async clipboard API (or non-secure origins)
+    copyWithSelection(text, done) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            if (document.execCommand('copy')) {
+                done();
+            }
+        } finally {
+            document.body.removeChild(textarea);
+        }
+    }
+
+    resetCopyButton() {
+        this.copyBtn.textContent = 'Copy prompt';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
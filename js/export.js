@@ -0,0 +1,304 @@
+/**
+ * Export.js - Save the current view as a high-resolution PNG or an SVG
+ *
+ * The view is redrawn offscreen through EmbeddingMap.renderView at the chosen
+ * scale (or pixel size), without the UI on top. Thumbnails are loaded at full
+ * size first. SVG is only available in dot mode, where every point is a circle.
+ */
+
+class ImageExporter {
+    constructor(map, labeler) {
+        this.map = map;
+        this.labeler = labeler;
+
+        this.panel = document.getElementById('export-panel');
+        this.scaleSelect = document.getElementById('export-scale');
+        this.customRow = document.getElementById('export-custom');
+        this.widthInput = document.getElementById('export-width');
+        this.heightInput = document.getElementById('export-height');
+        this.sizeEl = document.getElementById('export-size');
+        this.formatSelect = document.getElementById('export-format');
+        this.dimInput = document.getElementById('export-dim');
+        this.labelsInput = document.getElementById('export-labels');
+        this.hoverInput = document.getElementById('export-hover');
+        this.runBtn = document.getElementById('export-run');
+        this.statusEl = document.getElementById('export-status');
+
+        this.MAX_SIDE = 16384; // px; larger canvases fail in most browsers
+        this.MAX_PIXELS = 8192 * 8192;
+        this.POLL_INTERVAL = 100; // ms between checks on loading thumbnails
+        this.THUMBNAIL_TIMEOUT = 60000; // ms before exporting with whatever has loaded
+
+        this.enabled = false;
+        this.busy = false;
+
+        this.init();
+    }
+
+    init() {
+        this.scaleSelect.addEventListener('change', () => this.updateSize());
+        this.widthInput.addEventListener('input', () => this.updateSize());
+        this.heightInput.addEventListener('input', () => this.updateSize());
+        this.runBtn.addEventListener('click', () => this.export());
+    }
+
+    // Output size in pixels for the chosen scale; throws when the custom size is unusable
+    getOutputSize() {
+        const { width, height } = this.getScreenSize();
+
+        if (this.scaleSelect.value !== 'custom') {
+            const scale = parseFloat(this.scaleSelect.value);
+            return { width: Math.round(width * scale), height: Math.round(height * scale) };
+        }
+
+        const size = {
+            width: parseInt(this.widthInput.value, 10),
+            height: parseInt(this.heightInput.value, 10)
+        };
+
+        if (!(size.width >= 1 && size.width <= this.MAX_SIDE && size.height >= 1 && size.height <= this.MAX_SIDE)) {
+            throw new Error(`Width and height must be between 1 and ${this.MAX_SIDE} px`);
+        }
+        return size;
+    }
+
+    getScreenSize() {
+        return { width: this.map.canvas.clientWidth, height: this.map.canvas.clientHeight };
+    }
+
+    updateSize() {
+        this.customRow.hidden = this.scaleSelect.value !== 'custom';
+
+        try {
+            const { width, height } = this.getOutputSize();
+            this.sizeEl.textContent = `${width} × ${height} px`;
+        } catch (error) {
+            this.sizeEl.textContent = '';
+        }
+    }
+
+    // The current view, scaled to fill the output. A custom size with another aspect
+    // ratio keeps the whole view and shows more of the map along the longer side.
+    getView(size) {
+        const screen = this.getScreenSize();
+        const pixelRatio = Math.min(size.width / screen.width, size.height / screen.height);
+
+        return {
+            width: size.width / pixelRatio,
+            height: size.height / pixelRatio,
+            camera: { ...this.map.targetCamera },
+            pixelRatio
+        };
+    }
+
+    getRenderOptions(view) {
+        const labelsOverlay = { render: (ctx, map) => this.labeler.renderLabels(ctx, map) };
+        const overlays = this.map.overlays
+            .map(overlay => (overlay === this.labeler ? (this.labelsInput.checked ? labelsOverlay : null) : overlay))
+            .filter(overlay => overlay !== null);
+
+        return {
+            overlays,
+            hover: this.hoverInput.checked,
+            dimFiltered: this.dimInput.checked,
+            pixelRatio: view.pixelRatio
+        };
+    }
+
+    async export() {
+        if (this.busy) return;
+
+        let size;
+        try {
+            size = this.getOutputSize();
+            if (size.width * size.height > this.MAX_PIXELS) {
+                throw new Error(`${size.width} × ${size.height} px is too large to export`);
+            }
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        const view = this.getView(size);
+        const options = this.getRenderOptions(view);
+        const format = this.formatSelect.value;
+
+        this.busy = true;
+        this.runBtn.disabled = true;
+
+        try {
+            let blob;
+            let note = '';
+
+            if (format === 'svg') {
+                blob = new Blob([this.renderSvg(view, size, options)], { type: 'image/svg+xml' });
+            } else {
+                const missing = await this.loadThumbnails(view, options);
+                if (missing > 0) {
+                    note = ` (${missing.toLocaleString()} thumbnails did not load in time)`;
+                }
+                blob = await this.renderPng(view, size, options);
+            }
+
+            const filename = `embedding-map-${size.width}x${size.height}.${format}`;
+            this.download(blob, filename);
+            this.setStatus(`Saved ${filename}${note}`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.setStatus(error.message, true);
+        } finally {
+            this.busy = false;
+            this.runBtn.disabled = false;
+        }
+    }
+
+    // Wait until the thumbnails the view needs have loaded (or failed).
+    // Resolves to the number still missing when the timeout ran out.
+    async loadThumbnails(view, options) {
+        const { points, size } = this.map.withView(view, () => {
+            const displaySize = this.map.getDisplaySize();
+            const renderMode = this.map.getRenderMode(displaySize);
+            const shown = renderMode === 'dot' ? [] : this.map.getViewPoints(options.dimFiltered);
+
+            // Decluttered points that became dots need no thumbnail
+            const layout = this.map.getThumbnailLayout(shown, displaySize, renderMode);
+            return { points: layout ? layout.thumbnails.map(entry => entry.point) : shown, size: displaySize };
+        });
+
+        if (points.length === 0) return 0;
+
+        const deadline = performance.now() + this.THUMBNAIL_TIMEOUT;
+        let pending = points;
+
+        for (;;) {
+            pending = this.map.getPendingThumbnails(pending, size * options.pixelRatio);
+            if (pending.length === 0 || performance.now() > deadline) {
+                return pending.length;
+            }
+
+            this.setStatus(`Loading thumbnails… ${points.length - pending.length} / ${points.length}`);
+            await new Promise(resolve => setTimeout(resolve, this.POLL_INTERVAL));
+        }
+    }
+
+    async renderPng(view, size, options) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(view.pixelRatio, view.pixelRatio);
+        this.map.withView(view, () => this.map.renderView(ctx, view.width, view.height, options));
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            throw new Error('The browser could not encode an image this large');
+        }
+        return blob;
+    }
+
+    // Dots grouped by color, then labels and highlights, in the view's CSS pixel coordinates
+    renderSvg(view, size, options) {
+        const map = this.map;
+        const round = (value) => Math.round(value * 100) / 100;
+
+        return map.withView(view, () => {
+            const displaySize = map.getDisplaySize();
+            if (map.getRenderMode(displaySize) !== 'dot') {
+                throw new Error('SVG export needs the dot view; zoom out until the images turn into dots');
+            }
+
+            const radius = round(displaySize / 2);
+            const groups = new Map(); // fill -> circles
+
+            for (const point of map.getViewPoints(options.dimFiltered)) {
+                let fill;
+                if (map.selectedIds !== null && map.selectedIds.has(point.id)) {
+                    fill = '#22d3ee';
+                } else {
+                    fill = map.filteredIds && !map.filteredIds.has(point.id) ? '#333' : map.getPointColor(point);
+                }
+
+                const screen = map.worldToScreen(point.x, point.y);
+                if (!groups.has(fill)) groups.set(fill, []);
+                groups.get(fill).push(`<circle cx="${round(screen.x)}" cy="${round(screen.y)}" r="${radius}" data-id="${point.id}"/>`);
+            }
+
+            const parts = [`<rect width="${round(view.width)}" height="${round(view.height)}" fill="#0f0f0f"/>`];
+
+            for (const [fill, circles] of groups) {
+                parts.push(`<g fill="${fill}">\n${circles.join('\n')}\n</g>`);
+            }
+
+            if (this.labelsInput.checked) {
+                const measure = document.createElement('canvas').getContext('2d');
+                const labels = this.labeler.placeLabels(measure, map).map(label =>
+                    `<text x="${round(label.x)}" y="${round(label.y)}" font-size="${label.fontSize}">${this.escapeHtml(label.text)}</text>`
+                );
+                parts.push(
+                    '<g font-family="sans-serif" font-weight="600" text-anchor="middle" dominant-baseline="middle" ' +
+                    'fill="#f5f5f5" stroke="rgba(10, 10, 10, 0.85)" stroke-width="3" stroke-linejoin="round" paint-order="stroke">\n' +
+                    `${labels.join('\n')}\n</g>`
+                );
+            }
+
+            const highlight = (point, half, color) => {
+                const screen = map.worldToScreen(point.x, point.y);
+                return `<rect x="${round(screen.x - half)}" y="${round(screen.y - half)}" width="${round(half * 2)}" height="${round(half * 2)}" ` +
+                    `fill="none" stroke="${color}" stroke-width="3"/>`;
+            };
+
+            if (options.hover && map.hoveredPoint && map.isPointShown(map.hoveredPoint)) {
+                parts.push(highlight(map.hoveredPoint, displaySize / 2 + 2, '#6366f1'));
+            }
+
+            if (map.selectedPoint) {
+                parts.push(highlight(map.selectedPoint, Math.max(displaySize, 8) / 2 + 4, '#fbbf24'));
+            }
+
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}" ` +
+                `viewBox="0 0 ${round(view.width)} ${round(view.height)}">\n${parts.join('\n')}\n</svg>\n`;
+        });
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+
+    // Opening the panel picks up the current view size and label setting
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.classList.toggle('show', enabled);
+
+        if (enabled) {
+            const { width, height } = this.getScreenSize();
+            if (!this.widthInput.value) this.widthInput.value = width * 2;
+            if (!this.heightInput.value) this.heightInput.value = height * 2;
+
+            this.labelsInput.checked = this.labeler.enabled;
+            this.setStatus('');
+            this.updateSize();
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Gestures.js - Turn raw touch sequences into pan, pinch and tap gestures
+ *
+ * The recognizer knows nothing about the DOM or the map: it is fed touch lists
+ * ([{id, x, y}] in canvas pixels) with a timestamp and returns the gestures they
+ * complete, so a synthetic sequence can be checked without a browser:
+ *
+ *   const gestures = new TouchGestureRecognizer();
+ *   gestures.start([{ id: 0, x: 100, y: 100 }, { id: 1, x: 200, y: 100 }], 0);
+ *   gestures.move([{ id: 0, x: 50, y: 100 }, { id: 1, x: 250, y: 100 }], 16);
+ *   // -> [{type: 'pinch', x: 150, y: 100, scale: 2}]
+ *
+ * Gestures:
+ *   {type: 'pan', dx, dy}          one finger, or the midpoint of two
+ *   {type: 'pinch', x, y, scale}   scale since the last move, anchored at the midpoint
+ *   {type: 'panEnd', velocity}     last fingers lifted after moving; velocity {x, y} in px per move
+ *   {type: 'tap', x, y}
+ *   {type: 'doubleTap', x, y}
+ */
+
+class TouchGestureRecognizer {
+    constructor() {
+        this.TAP_DISTANCE = 10; // px a finger may wander and still tap
+        this.TAP_DURATION = 300; // ms
+        this.DOUBLE_TAP_INTERVAL = 300; // ms between the two taps
+        this.DOUBLE_TAP_DISTANCE = 30; // px between the two taps
+
+        this.reset();
+        this.lastTap = null; // {x, y, time}, survives reset so a second sequence can double-tap
+    }
+
+    reset() {
+        this.touches = new Map(); // id -> {x, y}
+        this.startTime = 0;
+        this.startPosition = null;
+        this.maxTouches = 0;
+        this.moved = false;
+        this.velocity = { x: 0, y: 0 };
+    }
+
+    // touches: every finger now down
+    start(touches, time) {
+        if (this.touches.size === 0) {
+            this.reset();
+            this.startTime = time;
+            this.startPosition = { x: touches[0].x, y: touches[0].y };
+        }
+
+        this.maxTouches = Math.max(this.maxTouches, touches.length);
+        this.track(touches);
+        return [];
+    }
+
+    move(touches, time) {
+        const gestures = [];
+        const pairs = touches
+            .filter(touch => this.touches.has(touch.id))
+            .map(touch => ({ from: this.touches.get(touch.id), to: touch }));
+
+        if (pairs.length === 1) {
+            const { from, to } = pairs[0];
+
+            if (this.moved) {
+                gestures.push(this.pan(to.x - from.x, to.y - from.y));
+            } else if (Math.hypot(to.x - this.startPosition.x, to.y - this.startPosition.y) > this.TAP_DISTANCE) {
+                // Hold still for a tap until the finger clearly moves, then catch up in one step
+                this.moved = true;
+                gestures.push(this.pan(to.x - this.startPosition.x, to.y - this.startPosition.y));
+            }
+        } else if (pairs.length >= 2) {
+            // The first two fingers steer; a third is ignored
+            const [a, b] = pairs;
+            const before = this.midpoint(a.from, b.from);
+            const after = this.midpoint(a.to, b.to);
+            const spreadBefore = Math.hypot(a.from.x - b.from.x, a.from.y - b.from.y);
+            const spreadAfter = Math.hypot(a.to.x - b.to.x, a.to.y - b.to.y);
+
+            if (after.x !== before.x || after.y !== before.y) {
+                gestures.push(this.pan(after.x - before.x, after.y - before.y));
+            }
+
+            if (spreadBefore > 0 && spreadAfter !== spreadBefore) {
+                gestures.push({ type: 'pinch', x: after.x, y: after.y, scale: spreadAfter / spreadBefore });
+            }
+
+            this.moved = true;
+        }
+
+        this.track(touches);
+        return gestures;
+    }
+
+    // touches: the fingers still down after some were lifted
+    end(touches, time) {
+        const lifted = [...this.touches.entries()].filter(([id]) => !touches.some(touch => touch.id === id));
+        this.track(touches);
+
+        if (touches.length > 0) {
+            // Panning continues with the remaining finger from where it is
+            this.velocity = { x: 0, y: 0 };
+            return [];
+        }
+
+        if (this.moved) {
+            return [{ type: 'panEnd', velocity: { ...this.velocity } }];
+        }
+
+        if (this.maxTouches > 1 || time - this.startTime > this.TAP_DURATION || lifted.length === 0) {
+            return [];
+        }
+
+        const { x, y } = lifted[0][1];
+        const last = this.lastTap;
+
+        if (last && time - last.time <= this.DOUBLE_TAP_INTERVAL && Math.hypot(x - last.x, y - last.y) <= this.DOUBLE_TAP_DISTANCE) {
+            this.lastTap = null;
+            return [{ type: 'doubleTap', x, y }];
+        }
+
+        this.lastTap = { x, y, time };
+        return [{ type: 'tap', x, y }];
+    }
+
+    // The browser took the touches away (e.g. a system gesture): no tap, no momentum
+    cancel() {
+        this.reset();
+        this.lastTap = null;
+    }
+
+    pan(dx, dy) {
+        this.velocity = { x: dx, y: dy };
+        return { type: 'pan', dx, dy };
+    }
+
+    track(touches) {
+        this.touches = new Map(touches.map(touch => [touch.id, { x: touch.x, y: touch.y }]));
+    }
+
+    midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Heatmap.js - Kernel density heatmap of the (filtered) points
+ *
+ * Points are binned into a coarse screen-space grid, smoothed with a Gaussian
+ * kernel (approximated by three box blurs, so cost does not grow with the
+ * bandwidth) and colored with the perceptually uniform inferno ramp.
+ */
+
+class HeatmapRenderer {
+    constructor() {
+        this.enabled = false;
+        this.showOnMinimap = false;
+        this.bandwidth = 2; // Kernel standard deviation in original data units
+
+        this.CELL_SIZE = 4; // Screen pixels per density grid cell
+        this.MIN_DENSITY = 0.02; // Normalized densities below this stay transparent
+        this.MAX_PADDING = 64; // Grid cells kept around the view for edge smoothing
+
+        this.lut = this.buildColorRamp([
+            '#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60',
+            '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'
+        ]);
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        // The minimap density only changes with the filter or bandwidth
+        this.minimapCanvas = document.createElement('canvas');
+        this.minimapCtx = this.minimapCanvas.getContext('2d');
+        this.minimapCacheKey = null;
+        this.minimapFilterVersion = -1;
+    }
+
+    // 256-entry RGB lookup table interpolated between evenly spaced hex stops
+    buildColorRamp(stops) {
+        const rgb = stops.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+        const lut = new Uint8Array(256 * 3);
+
+        for (let i = 0; i < 256; i++) {
+            const t = (i / 255) * (rgb.length - 1);
+            const lo = Math.floor(t);
+            const hi = Math.min(lo + 1, rgb.length - 1);
+            const f = t - lo;
+
+            for (let c = 0; c < 3; c++) {
+                lut[i * 3 + c] = Math.round(rgb[lo][c] + (rgb[hi][c] - rgb[lo][c]) * f);
+            }
+        }
+
+        return lut;
+    }
+
+    // Main canvas: density of the points around the viewport
+    render(ctx, map) {
+        const { width, height } = map.getViewSize();
+        const gridW = Math.ceil(width / this.CELL_SIZE);
+        const gridH = Math.ceil(height / this.CELL_SIZE);
+
+        const cellWorld = this.CELL_SIZE / map.camera.zoom;
+        const sigmaCells = (this.bandwidth * map.SCALE_FACTOR) / cellWorld;
+
+        // Pad the grid so points just outside the view still smooth into its edges
+        const pad = Math.min(Math.ceil(3 * sigmaCells), this.MAX_PADDING);
+        const viewport = map.getViewportBounds();
+        const originX = viewport.x - pad * cellWorld;
+        const originY = viewport.y - pad * cellWorld;
+        const points = map.queryPoints({
+            x: originX,
+            y: originY,
+            width: (gridW + pad * 2) * cellWorld,
+            height: (gridH + pad * 2) * cellWorld
+        });
+
+        const density = this.computeDensity(points, gridW + pad * 2, gridH + pad * 2, sigmaCells, (point) => ({
+            x: (point.x - originX) / cellWorld,
+            y: (point.y - originY) / cellWorld
+        }));
+
+        this.drawDensity(this.canvas, this.ctx, density, gridW + pad * 2, gridH + pad * 2);
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.canvas, pad, pad, gridW, gridH, 0, 0, gridW * this.CELL_SIZE, gridH * this.CELL_SIZE);
+        ctx.restore();
+    }
+
+    // Minimap: density of all (filtered) points, using the minimap's own projection
+    renderMinimap(ctx, map, toMinimap, width, height) {
+        const key = `${this.bandwidth}|${width}x${height}`;
+
+        if (this.minimapCacheKey !== key || this.minimapFilterVersion !== map.filterVersion) {
+            const gridW = Math.ceil(width / 2);
+            const gridH = Math.ceil(height / 2);
+            const scale = toMinimap.scale / 2; // Grid cells per world unit
+            const sigmaCells = this.bandwidth * map.SCALE_FACTOR * scale;
+            const points = map.allPoints.filter(p => map.isPointShown(p));
+
+            const density = this.computeDensity(points, gridW, gridH, sigmaCells, (point) => {
+                const p = toMinimap.project(point);
+                return { x: p.x / 2, y: p.y / 2 };
+            });
+
+            this.drawDensity(this.minimapCanvas, this.minimapCtx, density, gridW, gridH);
+            this.minimapCacheKey = key;
+            this.minimapFilterVersion = map.filterVersion;
+        }
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.minimapCanvas, 0, 0, this.minimapCanvas.width * 2, this.minimapCanvas.height * 2);
+        ctx.restore();
+    }
+
+    computeDensity(points, gridW, gridH, sigmaCells, toGrid) {
+        const density = new Float32Array(gridW * gridH);
+
+        for (const point of points) {
+            const { x, y } = toGrid(point);
+            const gx = Math.floor(x);
+            const gy = Math.floor(y);
+
+            if (gx >= 0 && gx < gridW && gy >= 0 && gy < gridH) {
+                density[gy * gridW + gx] += 1;
+            }
+        }
+
+        // Below half a cell the kernel is narrower than the grid resolution
+        if (sigmaCells >= 0.5) {
+            const scratch = new Float32Array(density.length);
+            for (const radius of this.boxRadiiForGaussian(sigmaCells)) {
+                this.boxBlurHorizontal(density, scratch, gridW, gridH, radius);
+                this.boxBlurVertical(scratch, density, gridW, gridH, radius);
+            }
+        }
+
+        return density;
+    }
+
+    // Box blur radii whose three-pass combination approximates a Gaussian (Kovesi)
+    boxRadiiForGaussian(sigma, passes = 3) {
+        const ideal = Math.sqrt((12 * sigma * sigma / passes) + 1);
+        let lower = Math.floor(ideal);
+        if (lower % 2 === 0) lower--;
+        const upper = lower + 2;
+
+        const m = Math.round((12 * sigma * sigma - passes * lower * lower - 4 * passes * lower - 3 * passes) / (-4 * lower - 4));
+
+        const radii = [];
+        for (let i = 0; i < passes; i++) {
+            radii.push(((i < m ? lower : upper) - 1) / 2);
+        }
+        return radii;
+    }
+
+    boxBlurHorizontal(src, dst, w, h, r) {
+        const scale = 1 / (r + r + 1);
+
+        for (let y = 0; y < h; y++) {
+            const row = y * w;
+            let sum = 0;
+
+            for (let x = -r; x <= r; x++) {
+                if (x >= 0 && x < w) sum += src[row + x];
+            }
+
+            for (let x = 0; x < w; x++) {
+                dst[row + x] = sum * scale;
+
+                const add = x + r + 1;
+                const remove = x - r;
+                if (add < w) sum += src[row + add];
+                if (remove >= 0) sum -= src[row + remove];
+            }
+        }
+    }
+
+    boxBlurVertical(src, dst, w, h, r) {
+        const scale = 1 / (r + r + 1);
+
+        for (let x = 0; x < w; x++) {
+            let sum = 0;
+
+            for (let y = -r; y <= r; y++) {
+                if (y >= 0 && y < h) sum += src[y * w + x];
+            }
+
+            for (let y = 0; y < h; y++) {
+                dst[y * w + x] = sum * scale;
+
+                const add = y + r + 1;
+                const remove = y - r;
+                if (add < h) sum += src[add * w + x];
+                if (remove >= 0) sum -= src[remove * w + x];
+            }
+        }
+    }
+
+    // Normalize to the densest cell and write colors into the offscreen canvas
+    drawDensity(canvas, ctx, density, gridW, gridH) {
+        if (canvas.width !== gridW || canvas.height !== gridH) {
+            canvas.width = gridW;
+            canvas.height = gridH;
+        }
+
+        let max = 0;
+        for (let i = 0; i < density.length; i++) {
+            if (density[i] > max) max = density[i];
+        }
+
+        const image = ctx.createImageData(gridW, gridH);
+        const pixels = image.data;
+
+        if (max > 0) {
+            for (let i = 0; i < density.length; i++) {
+                const value = density[i] / max;
+                if (value < this.MIN_DENSITY) continue;
+
+                // Square root keeps sparse regions visible next to dense cores
+                const level = Math.sqrt(value);
+                const index = Math.round(level * 255) * 3;
+
+                pixels[i * 4] = this.lut[index];
+                pixels[i * 4 + 1] = this.lut[index + 1];
+                pixels[i * 4 + 2] = this.lut[index + 2];
+                pixels[i * 4 + 3] = Math.round(255 * Math.min(1, 0.35 + level));
+            }
+        }
+
+        ctx.putImageData(image, 0, 0);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    setBandwidth(bandwidth) {
+        this.bandwidth = bandwidth;
+    }
+
+    setShowOnMinimap(show) {
+        this.showOnMinimap = show;
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Keyboard.js - Step a keyboard focus between the images in view and announce them
+ *
+ * The canvas is a single focusable element; inside it, Tab/Shift+Tab and the
+ * bracket keys move a focus ring between the visible points in reading order
+ * (rows of the screen, top to bottom, then left to right). Each step is spoken
+ * through an ARIA live region, since screen readers can't see into the canvas.
+ */
+
+class KeyboardNavigator {
+    constructor(map) {
+        this.map = map;
+        this.announcer = document.getElementById('map-announcer');
+
+        this.ROW_HEIGHT = 40; // Screen pixels of one reading-order row
+        this.PAN_STEP = 0.2; // Fraction of the view an arrow key pans
+
+        this.onSelect = null;
+
+        this.init();
+    }
+
+    init() {
+        // Tab steps through the points while there are more, then leaves the canvas as usual
+        this.map.canvas.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab' || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            if (this.step(e.shiftKey ? -1 : 1, false)) {
+                e.preventDefault();
+            }
+        });
+
+        this.map.canvas.addEventListener('blur', () => this.clear());
+    }
+
+    // Visible points, top row first and left to right within a row
+    getOrder() {
+        return this.map.getVisiblePoints()
+            .map(point => {
+                const screen = this.map.worldToScreen(point.x, point.y);
+                return { point, row: Math.floor(screen.y / this.ROW_HEIGHT), x: screen.x };
+            })
+            .sort((a, b) => a.row - b.row || a.x - b.x)
+            .map(entry => entry.point);
+    }
+
+    // Move the focus one point forward (1) or back (-1). Without wrap, returns false
+    // instead of moving past either end, so Tab can leave the canvas.
+    step(direction, wrap = true) {
+        const order = this.getOrder();
+        if (order.length === 0) {
+            if (wrap) this.announce('No images in view');
+            return false;
+        }
+
+        const index = order.indexOf(this.map.focusedPoint);
+        let next = index === -1 ? (direction > 0 ? 0 : order.length - 1) : index + direction;
+
+        if (next < 0 || next >= order.length) {
+            if (!wrap) return false;
+            next = (next + order.length) % order.length;
+        }
+
+        this.focus(order[next], next, order.length);
+        return true;
+    }
+
+    focus(point, index, total) {
+        this.map.setFocusedPoint(point);
+
+        const position = this.map.getDataPosition(point);
+        this.announce(
+            `Image ${point.id}, ${index + 1} of ${total} in view, at ${position.x.toFixed(2)}, ${position.y.toFixed(2)}: ${point.prompt}`
+        );
+    }
+
+    // Enter: select the focused point. Returns false when nothing has focus.
+    selectFocused() {
+        const point = this.map.focusedPoint;
+        if (!point) return false;
+
+        if (this.onSelect) {
+            this.onSelect(point.id);
+        }
+        return true;
+    }
+
+    // dx, dy in steps: -1, 0 or 1
+    pan(dx, dy) {
+        const { width, height } = this.map.getViewSize();
+        this.map.panBy(dx * width * this.PAN_STEP, dy * height * this.PAN_STEP);
+    }
+
+    clear() {
+        this.map.setFocusedPoint(null);
+    }
+
+    announce(message) {
+        this.announcer.textContent = message;
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Labels.js - Automatic region labels from prompt term frequencies
+ *
+ * The map is cut into square grid cells at several levels of detail. Each cell is
+ * labeled with its most distinctive terms (TF-IDF against the other cells of the
+ * same level), placed at the centroid of its points. The level shown follows the
+ * zoom, and labels that would overlap an already placed label are skipped.
+ */
+
+class RegionLabeler {
+    constructor() {
+        this.enabled = true;
+
+        this.LEVELS = 5; // Level l splits the longest data side into 2^(l + 2) cells
+        this.MIN_CELL_POINTS = 5;
+        this.MIN_TERM_COUNT = 2;
+        this.MIN_CELL_SCREEN_SIZE = 120; // Pick the finest level whose cells are at least this wide on screen
+        this.MAX_CELL_SCREEN_SIZE = 600; // Past this even the finest cells are too coarse to be useful
+        this.LABEL_PADDING = 6;
+
+        this.levels = []; // [{cellSize, labels: [{x, y, text, count}]}]
+
+        this.STOPWORDS = new Set([
+            'a', 'an', 'the', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from',
+            'into', 'onto', 'over', 'under', 'above', 'below', 'near', 'through', 'between', 'behind', 'around',
+            'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those',
+            'as', 'up', 'down', 'out', 'off', 'very', 'so', 'than', 'too', 'no', 'not', 'some', 'any', 'each',
+            'his', 'her', 'their', 'our', 'your', 'my', 'he', 'she', 'they', 'we', 'you', 'i',
+            'photo', 'image', 'picture', 'style', 'detailed', 'view'
+        ]);
+    }
+
+    // points and bounds in map (scaled) coordinates
+    setData(points, bounds) {
+        const tokens = points.map(point => this.tokenize(point.prompt));
+        const extent = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+
+        this.levels = [];
+
+        for (let level = 0; level < this.LEVELS; level++) {
+            const cellSize = extent / 2 ** (level + 2);
+            this.levels.push({
+                cellSize,
+                labels: this.computeLabels(points, tokens, bounds, cellSize)
+            });
+        }
+    }
+
+    tokenize(text) {
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        return [...new Set(words.filter(word => word.length > 2 && !this.STOPWORDS.has(word) && !/^\d+$/.test(word)))];
+    }
+
+    computeLabels(points, tokens, bounds, cellSize) {
+        // Bucket points into cells
+        const cells = new Map();
+
+        points.forEach((point, i) => {
+            const key = Math.floor((point.x - bounds.minX) / cellSize) + ',' + Math.floor((point.y - bounds.minY) / cellSize);
+
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = { count: 0, sumX: 0, sumY: 0, terms: new Map() };
+                cells.set(key, cell);
+            }
+
+            cell.count++;
+            cell.sumX += point.x;
+            cell.sumY += point.y;
+            for (const term of tokens[i]) {
+                cell.terms.set(term, (cell.terms.get(term) || 0) + 1);
+            }
+        });
+
+        // Document frequency of each term across cells
+        const cellFrequency = new Map();
+        for (const cell of cells.values()) {
+            for (const term of cell.terms.keys()) {
+                cellFrequency.set(term, (cellFrequency.get(term) || 0) + 1);
+            }
+        }
+
+        const labels = [];
+
+        for (const cell of cells.values()) {
+            if (cell.count < this.MIN_CELL_POINTS) continue;
+
+            const ranked = [];
+            for (const [term, count] of cell.terms) {
+                if (count < this.MIN_TERM_COUNT) continue;
+
+                const tf = count / cell.count;
+                const idf = Math.log(cells.size / cellFrequency.get(term));
+                ranked.push({ term, score: tf * idf });
+            }
+
+            if (ranked.length === 0) continue;
+
+            ranked.sort((a, b) => b.score - a.score);
+
+            // A runner-up term is kept when it is nearly as distinctive as the best one
+            const terms = [ranked[0].term];
+            if (ranked.length > 1 && ranked[1].score >= ranked[0].score * 0.6) {
+                terms.push(ranked[1].term);
+            }
+
+            labels.push({
+                x: cell.sumX / cell.count,
+                y: cell.sumY / cell.count,
+                text: terms.join(' · '),
+                count: cell.count
+            });
+        }
+
+        // Larger cells win placement conflicts
+        labels.sort((a, b) => b.count - a.count);
+
+        return labels;
+    }
+
+    getLevelForZoom(zoom) {
+        let chosen = null;
+
+        for (const level of this.levels) {
+            if (level.cellSize * zoom >= this.MIN_CELL_SCREEN_SIZE) {
+                chosen = level;
+            }
+        }
+
+        if (chosen && chosen.cellSize * zoom > this.MAX_CELL_SCREEN_SIZE) {
+            return null;
+        }
+
+        return chosen;
+    }
+
+    // Overlay hook called by EmbeddingMap.render
+    render(ctx, map) {
+        if (!this.enabled) return;
+
+        this.renderLabels(ctx, map);
+    }
+
+    // Draw the labels for the current view, whether or not they are toggled on
+    renderLabels(ctx, map) {
+        const placed = this.placeLabels(ctx, map);
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+
+        for (const label of placed) {
+            ctx.font = `600 ${label.fontSize}px sans-serif`;
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(10, 10, 10, 0.85)';
+            ctx.strokeText(label.text, label.x, label.y);
+            ctx.fillStyle = '#f5f5f5';
+            ctx.fillText(label.text, label.x, label.y);
+        }
+
+        ctx.restore();
+    }
+
+    // Labels that fit the view without overlapping: [{text, x, y, fontSize}] in screen pixels.
+    // ctx is only used to measure text.
+    placeLabels(ctx, map) {
+        const level = this.getLevelForZoom(map.camera.zoom);
+        if (!level) return [];
+
+        const { width, height } = map.getViewSize();
+        const maxCount = level.labels.length > 0 ? level.labels[0].count : 1;
+        const placed = [];
+        const rects = [];
+
+        ctx.save();
+
+        for (const label of level.labels) {
+            const screen = map.worldToScreen(label.x, label.y);
+            if (screen.x < 0 || screen.x > width || screen.y < 0 || screen.y > height) continue;
+
+            // Bigger cells get bigger type
+            const fontSize = Math.round(11 + 5 * Math.sqrt(label.count / maxCount));
+            ctx.font = `600 ${fontSize}px sans-serif`;
+
+            const textWidth = ctx.measureText(label.text).width;
+            const rect = {
+                x: screen.x - textWidth / 2 - this.LABEL_PADDING,
+                y: screen.y - fontSize / 2 - this.LABEL_PADDING,
+                width: textWidth + this.LABEL_PADDING * 2,
+                height: fontSize + this.LABEL_PADDING * 2
+            };
+
+            if (rects.some(other => this.rectsOverlap(rect, other))) continue;
+            rects.push(rect);
+            placed.push({ text: label.text, x: screen.x, y: screen.y, fontSize });
+        }
+
+        ctx.restore();
+        return placed;
+    }
+
+    rectsOverlap(a, b) {
+        return !(
+            a.x + a.width < b.x ||
+            b.x + b.width < a.x ||
+            a.y + a.height < b.y ||
+            b.y + b.height < a.y
+        );
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+}
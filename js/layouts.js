@@ -0,0 +1,228 @@
+/**
+ * Layouts.js - Switch between several 2D projections of the same images
+ *
+ * A dataset in datasets.json can list extra coordinate sets keyed by point id:
+ *   "layout": "UMAP",
+ *   "layouts": {"t-SNE": "data_tsne.json", "PCA": "data_pca.bin"}
+ * Layout files use the data.json (or binary) format; only id, x and y are read.
+ * Points animate between layouts, and the scrubber sets the interpolation by hand.
+ */
+
+class LayoutManager {
+    constructor() {
+        this.panel = document.getElementById('layout-panel');
+        this.select = document.getElementById('layout-select');
+        this.scrubber = document.getElementById('layout-scrubber');
+        this.fromLabel = document.getElementById('layout-from');
+        this.toLabel = document.getElementById('layout-to');
+        this.statusEl = document.getElementById('layout-status');
+
+        this.SCRUBBER_STEPS = 1000;
+
+        this.layouts = []; // [{name, url, xs, ys, bounds}]; coordinates are null until loaded
+        this.from = null;
+        this.to = null;
+        this.t = 0;
+        this.ids = [];
+        this.loadId = 0;
+
+        this.onAnimate = null; // (from, to, t)
+        this.onScrub = null; // (from, to, t)
+
+        this.init();
+    }
+
+    init() {
+        this.select.addEventListener('change', () => {
+            this.switchTo(this.select.value);
+        });
+
+        this.scrubber.addEventListener('input', () => {
+            this.t = parseInt(this.scrubber.value, 10) / this.SCRUBBER_STEPS;
+            if (this.onScrub) {
+                this.onScrub(this.from, this.to, this.t);
+            }
+        });
+    }
+
+    // data in original data units, points in the map's order; their coordinates are the base layout
+    setData(dataset, data) {
+        this.loadId++;
+        this.ids = data.points.map(point => point.id);
+
+        const base = {
+            name: dataset.layout || 'Default',
+            url: null,
+            xs: Float64Array.from(data.points, point => point.x),
+            ys: Float64Array.from(data.points, point => point.y),
+            bounds: { ...data.bounds }
+        };
+        const extra = Object.entries(dataset.layouts || {})
+            .filter(([name]) => name !== base.name)
+            .map(([name, url]) => ({ name, url, xs: null, ys: null, bounds: null }));
+
+        this.layouts = [base, ...extra];
+        this.from = base;
+        this.to = base;
+        this.t = 0;
+
+        this.select.replaceChildren(...this.layouts.map(layout => new Option(layout.name, layout.name)));
+        this.select.disabled = false;
+        this.setStatus('');
+        this.updateScrubber();
+
+        this.panel.classList.toggle('show', this.layouts.length > 1);
+    }
+
+    async switchTo(name) {
+        const target = this.layouts.find(layout => layout.name === name);
+        if (!target) return;
+
+        // Back and forth between the current pair continues from where the points are
+        if (target === this.to || target === this.from) {
+            this.animate(target === this.to ? 1 : 0);
+            return;
+        }
+
+        const loadId = ++this.loadId;
+        if (!target.xs) {
+            this.select.disabled = true;
+            this.setStatus(`Loading ${target.name}…`);
+
+            try {
+                await this.loadLayout(target);
+            } catch (error) {
+                if (loadId !== this.loadId) return;
+                this.select.disabled = false;
+                this.select.value = this.current().name;
+                this.setStatus(error.message, true);
+                return;
+            }
+
+            if (loadId !== this.loadId) return;
+            this.select.disabled = false;
+        }
+
+        // Mid-scrub or mid-animation, start from where the points are so they don't jump
+        this.from = this.t > 0 && this.t < 1 ? this.interpolate(this.from, this.to, this.t) : this.current();
+        this.to = target;
+        this.t = 0;
+        this.updateScrubber();
+        this.animate(1);
+    }
+
+    animate(t) {
+        if (this.onAnimate) {
+            this.onAnimate(this.from, this.to, t);
+        }
+    }
+
+    // The layout the points are at or nearest to
+    current() {
+        return this.t < 0.5 ? this.from : this.to;
+    }
+
+    // A layout frozen a fraction t of the way between two others, named after the nearer one.
+    // Interpolated the same way as the map does, so points start exactly where they are drawn.
+    interpolate(from, to, t) {
+        const lerp = (a, b) => a + (b - a) * t;
+
+        return {
+            name: this.current().name,
+            url: null,
+            xs: Float64Array.from(from.xs, (x, i) => lerp(x, to.xs[i])),
+            ys: Float64Array.from(from.ys, (y, i) => lerp(y, to.ys[i])),
+            bounds: {
+                minX: lerp(from.bounds.minX, to.bounds.minX),
+                minY: lerp(from.bounds.minY, to.bounds.minY),
+                maxX: lerp(from.bounds.maxX, to.bounds.maxX),
+                maxY: lerp(from.bounds.maxY, to.bounds.maxY)
+            }
+        };
+    }
+
+    // Keep the scrubber in step with an animation
+    setProgress(t) {
+        this.t = t;
+        this.scrubber.value = Math.round(t * this.SCRUBBER_STEPS);
+    }
+
+    updateScrubber() {
+        this.fromLabel.textContent = this.from.name;
+        this.toLabel.textContent = this.to.name;
+        this.scrubber.disabled = this.from === this.to;
+        this.setProgress(this.t);
+    }
+
+    async loadLayout(layout) {
+        const response = await fetch(layout.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${layout.url}: ${response.status} ${response.statusText}`);
+        }
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const binary = new BinaryDatasetParser();
+        let data;
+
+        if (binary.sniff(bytes)) {
+            binary.push(bytes);
+            data = binary.finish();
+        } else {
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        }
+
+        if (!data || !Array.isArray(data.points)) {
+            throw new Error(`${layout.url} has no points`);
+        }
+
+        const { missing, ...coordinates } = this.alignById(data.points);
+        Object.assign(layout, coordinates);
+
+        if (missing > 0) {
+            this.setStatus(`${missing.toLocaleString()} images are not in ${layout.name} and stay where they are`);
+        } else {
+            this.setStatus('');
+        }
+    }
+
+    // Coordinates in this.ids order; ids the file lacks keep their base layout position
+    alignById(points) {
+        const base = this.layouts[0];
+        const byId = new Map(points.map(point => [point.id, point]));
+        const xs = new Float64Array(this.ids.length);
+        const ys = new Float64Array(this.ids.length);
+        let missing = 0;
+
+        this.ids.forEach((id, i) => {
+            const point = byId.get(id);
+            if (point) {
+                xs[i] = point.x;
+                ys[i] = point.y;
+            } else {
+                xs[i] = base.xs[i];
+                ys[i] = base.ys[i];
+                missing++;
+            }
+        });
+
+        return { xs, ys, bounds: this.getBounds(xs, ys), missing };
+    }
+
+    getBounds(xs, ys) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        for (let i = 0; i < xs.length; i++) {
+            bounds.minX = Math.min(bounds.minX, xs[i]);
+            bounds.minY = Math.min(bounds.minY, ys[i]);
+            bounds.maxX = Math.max(bounds.maxX, xs[i]);
+            bounds.maxY = Math.max(bounds.maxY, ys[i]);
+        }
+
+        return bounds;
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+}
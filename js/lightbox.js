@@ -0,0 +1,223 @@
+/**
+ * Lightbox.js - Full-screen viewer for one image at a time
+ *
+ * Two ways to browse:
+ * - Nearest neighbor: → walks to the closest image on the map not yet seen in
+ *   this lightbox, ← retraces the walk. Only images the map shows are visited,
+ *   so a search keeps the walk among its matches.
+ * - Search results: ← and → step through the matches in relevance order.
+ *
+ * Every step is reported through onStep so the map can follow along. Images are
+ * the dataset's full-size files when it lists them, otherwise its thumbnails.
+ */
+
+class Lightbox {
+    constructor(map, search) {
+        this.map = map;
+        this.search = search;
+
+        this.element = document.getElementById('lightbox');
+        this.titleEl = document.getElementById('lightbox-title');
+        this.imageEl = document.getElementById('lightbox-image');
+        this.missingEl = document.getElementById('lightbox-missing');
+        this.promptEl = document.getElementById('lightbox-prompt');
+        this.metaEl = document.getElementById('lightbox-meta');
+        this.counterEl = document.getElementById('lightbox-counter');
+        this.modeSelect = document.getElementById('lightbox-mode');
+        this.prevBtn = document.getElementById('lightbox-prev');
+        this.nextBtn = document.getElementById('lightbox-next');
+        this.closeBtn = document.getElementById('lightbox-close');
+
+        this.point = null;
+        this.mode = 'neighbors'; // 'neighbors' | 'results'
+        this.trail = []; // Points walked through in neighbor mode
+        this.trailIndex = -1;
+        this.seen = new Set(); // Ids visited since opening
+        this.returnFocus = null; // Element focused before opening
+        this.imageUrlTemplate = null; // Full-size images, {id} replaced by the point id; null shows thumbnails
+
+        this.onStep = null; // Called with the id of each image shown
+        this.onClose = null;
+
+        this.init();
+    }
+
+    init() {
+        this.prevBtn.addEventListener('click', () => this.step(-1));
+        this.nextBtn.addEventListener('click', () => this.step(1));
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // Switching modes starts a fresh walk from the image on screen
+        this.modeSelect.addEventListener('change', () => {
+            this.mode = this.modeSelect.value;
+            this.startWalk(this.point);
+            this.show(this.point);
+        });
+
+        // A missing full-size file falls back to the thumbnail, a missing thumbnail to a placeholder
+        this.imageEl.addEventListener('error', () => {
+            if (!this.point) return;
+
+            const thumbnail = this.map.getImageUrl(this.point.id);
+            if (this.imageEl.getAttribute('src') !== thumbnail) {
+                this.imageEl.src = thumbnail;
+            } else {
+                this.setMissing(true);
+            }
+        });
+
+        // Clicking the backdrop closes
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen() || e.target.matches('select')) return;
+
+            const actions = {
+                ArrowLeft: () => this.step(-1),
+                ArrowRight: () => this.step(1),
+                Escape: () => this.close()
+            };
+
+            if (actions[e.key]) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+        });
+    }
+
+    // point: one of the map's points
+    open(point) {
+        const matches = this.search.matchIds;
+        const resultsOption = this.modeSelect.querySelector('option[value="results"]');
+        resultsOption.disabled = matches.length === 0;
+
+        // Opening a search match browses the results; anything else starts a walk
+        this.mode = matches.includes(point.id) ? 'results' : 'neighbors';
+        this.modeSelect.value = this.mode;
+
+        this.startWalk(point);
+
+        if (!this.isOpen()) {
+            this.returnFocus = document.activeElement;
+        }
+        this.element.hidden = false;
+        this.closeBtn.focus();
+
+        this.show(point);
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.element.hidden = true;
+        this.imageEl.removeAttribute('src');
+
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    isOpen() {
+        return !this.element.hidden;
+    }
+
+    setImageUrlTemplate(template) {
+        this.imageUrlTemplate = template;
+    }
+
+    getImageUrl(id) {
+        return this.imageUrlTemplate ? this.imageUrlTemplate.replace(/\{id\}/g, id) : this.map.getImageUrl(id);
+    }
+
+    setMissing(missing) {
+        this.imageEl.hidden = missing;
+        this.missingEl.hidden = !missing;
+    }
+
+    startWalk(point) {
+        this.trail = [point];
+        this.trailIndex = 0;
+        this.seen = new Set([point.id]);
+    }
+
+    step(direction) {
+        if (!this.point) return;
+
+        const next = this.mode === 'results' ? this.getResult(direction) : this.getNeighbor(direction);
+        if (next) {
+            this.show(next);
+        }
+    }
+
+    // Back along the walk, forward along it, or on to the nearest unseen image
+    getNeighbor(direction) {
+        if (direction < 0) {
+            if (this.trailIndex === 0) return null;
+            return this.trail[--this.trailIndex];
+        }
+
+        if (this.trailIndex < this.trail.length - 1) {
+            return this.trail[++this.trailIndex];
+        }
+
+        const [nearest] = this.map.nearestPoints(this.point.x, this.point.y, 1, Infinity,
+            point => !this.seen.has(point.id) && this.map.isPointShown(point));
+        if (!nearest) return null;
+
+        this.seen.add(nearest.point.id);
+        this.trail.push(nearest.point);
+        this.trailIndex++;
+        return nearest.point;
+    }
+
+    // The next or previous search match, wrapping; the search counter follows
+    getResult(direction) {
+        const ids = this.search.matchIds;
+        if (ids.length === 0) return null;
+
+        const index = ids.indexOf(this.point.id);
+        const next = index === -1
+            ? (direction > 0 ? 0 : ids.length - 1)
+            : (index + direction + ids.length) % ids.length;
+
+        this.search.setMatchIndex(next);
+        return this.map.getPointById(ids[next]) || null;
+    }
+
+    show(point) {
+        this.point = point;
+
+        const position = this.map.getDataPosition(point);
+
+        this.titleEl.textContent = `Image #${point.id}`;
+        this.setMissing(false);
+        this.imageEl.src = this.getImageUrl(point.id);
+        this.imageEl.alt = point.prompt;
+        this.promptEl.textContent = point.prompt;
+        this.metaEl.textContent = `ID: ${point.id} · Position: (${position.x.toFixed(2)}, ${position.y.toFixed(2)})`;
+
+        if (this.mode === 'results') {
+            const ids = this.search.matchIds;
+            const index = ids.indexOf(point.id);
+            this.counterEl.textContent = `${index === -1 ? '–' : (index + 1).toLocaleString()} / ${ids.length.toLocaleString()}`;
+            this.prevBtn.disabled = ids.length === 0;
+            this.nextBtn.disabled = ids.length === 0;
+        } else {
+            this.counterEl.textContent = `Step ${this.trailIndex + 1} of ${this.trail.length}`;
+            this.prevBtn.disabled = this.trailIndex === 0;
+            this.nextBtn.disabled = false;
+        }
+
+        if (this.onStep) {
+            this.onStep(point.id);
+        }
+    }
+}
@@ -97,6 +97,110 @@ class QuadTree {
             point.y <= range.y + range.height
         );
     }
+
+    // Points within radius of (x, y), in no particular order
+    queryRadius(x, y, radius, found = []) {
+        if (this.distanceToBounds(x, y) > radius) {
+            return found;
+        }
+
+        const radiusSq = radius * radius;
+        for (const point of this.points) {
+            if ((point.x - x) ** 2 + (point.y - y) ** 2 <= radiusSq) {
+                found.push(point);
+            }
+        }
+
+        if (this.divided) {
+            this.children.nw.queryRadius(x, y, radius, found);
+            this.children.ne.queryRadius(x, y, radius, found);
+            this.children.sw.queryRadius(x, y, radius, found);
+            this.children.se.queryRadius(x, y, radius, found);
+        }
+
+        return found;
+    }
+
+    // The k points nearest (x, y) as [{point, distance}], closest first.
+    // Only points within maxDistance that pass filter(point) are considered.
+    nearest(x, y, k = 1, maxDistance = Infinity, filter = null) {
+        const found = [];
+        if (k > 0) {
+            this.searchNearest(x, y, k, maxDistance, filter, found);
+        }
+        return found;
+    }
+
+    // Branch and bound: skip nodes farther away than the k-th best distance so far
+    searchNearest(x, y, k, maxDistance, filter, found) {
+        const limit = found.length < k ? maxDistance : found[found.length - 1].distance;
+        if (this.distanceToBounds(x, y) > limit) return;
+
+        for (const point of this.points) {
+            const distance = Math.sqrt((point.x - x) ** 2 + (point.y - y) ** 2);
+            if (distance > maxDistance || (found.length === k && distance >= found[k - 1].distance)) continue;
+            if (filter && !filter(point)) continue;
+
+            let i = found.length;
+            while (i > 0 && found[i - 1].distance > distance) i--;
+            found.splice(i, 0, { point, distance });
+
+            if (found.length > k) {
+                found.pop();
+            }
+        }
+
+        if (this.divided) {
+            // Nearest quadrant first, so the bound tightens early
+            const children = [this.children.nw, this.children.ne, this.children.sw, this.children.se]
+                .map(child => ({ child, distance: child.distanceToBounds(x, y) }))
+                .sort((a, b) => a.distance - b.distance);
+
+            for (const { child } of children) {
+                child.searchNearest(x, y, k, maxDistance, filter, found);
+            }
+        }
+    }
+
+    // 0 inside the node
+    distanceToBounds(x, y) {
+        const { x: left, y: top, width, height } = this.bounds;
+        const dx = Math.max(left - x, 0, x - (left + width));
+        const dy = Math.max(top - y, 0, y - (top + height));
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // Take a point out, found by its current position. Returns false when it isn't in the tree.
+    remove(point) {
+        if (!this.contains(point)) {
+            return false;
+        }
+
+        const index = this.points.indexOf(point);
+        if (index !== -1) {
+            this.points.splice(index, 1);
+            return true;
+        }
+
+        return this.divided && (
+            this.children.nw.remove(point) ||
+            this.children.ne.remove(point) ||
+            this.children.sw.remove(point) ||
+            this.children.se.remove(point)
+        );
+    }
+
+    // Move a point to (x, y). Returns false, leaving the point where it was, when it isn't
+    // in the tree or the new position falls outside the tree's bounds.
+    update(point, x, y) {
+        if (!this.contains({ x, y }) || !this.remove(point)) {
+            return false;
+        }
+
+        point.x = x;
+        point.y = y;
+        return this.insert(point);
+    }
 }
 
 class EmbeddingMap {
@@ -113,28 +217,65 @@ class EmbeddingMap {
 
         // Data
         this.allPoints = [];
+        this.pointsById = new Map();
         this.quadTree = null;
         this.bounds = null;
         this.filteredIds = null; // null = show all, Set = show only these IDs
+        this.selectedIds = null; // null = no region selection, Set = box/lasso selected IDs
+        this.colorizer = null; // Optional ColorManager for per-point colors and hidden categories
+        this.comparison = null; // {a, b, colors} while two queries are compared; colors points by set
+        this.filterVersion = 0; // Bumped whenever the set of shown points changes
+        this.morph = null; // {from, to, t, animation} while points sit between two layouts
+        this.MORPH_DURATION = 1200; // ms
 
         // View state
         this.camera = { x: 0, y: 0, zoom: 1 };
         this.targetCamera = { x: 0, y: 0, zoom: 1 };
+        this.cameraAnimation = null; // {from, to, start, duration, easing} for a timed panTo
+
+        // Easing curves for timed camera moves and layout morphs, t in [0, 1]
+        this.EASINGS = {
+            linear: t => t,
+            easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+            easeInOutCubic: t => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+            easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+            easeOutCubic: t => 1 - (1 - t) ** 3
+        };
 
         // Interaction state
         this.isDragging = false;
         this.lastMouse = { x: 0, y: 0 };
+        this.mouseDownPos = null;
         this.velocity = { x: 0, y: 0 };
+        this.selectionGesture = null; // {mode: 'box'|'lasso', path: [world points]} while drawing
+        this.CLICK_TOLERANCE = 5; // Max pointer travel (px) for a press to count as a click
+        this.tool = null; // Optional drawing tool that gets the pointer (in world coordinates) instead of panning
+        this.toolPointerDown = false;
+        this.gestures = new TouchGestureRecognizer();
+        this.DOUBLE_TAP_ZOOM = 2;
 
         // Image cache
         this.imageCache = new Map();
         this.imageLoadQueue = [];
         this.maxConcurrentLoads = 6;
         this.currentLoads = 0;
+        this.spriteAtlas = null; // Optional ThumbnailAtlas of sprite sheets
+        this.imageUrlTemplate = 'thumbnails/image_{id}.jpg'; // {id} is replaced by the point id
 
         // Rendering
         this.animationFrame = null;
+        this.overlays = []; // Objects with render(ctx, map), drawn above the points
+        this.heatmap = null; // Optional HeatmapRenderer, drawn beneath the points
+        this.declutter = null; // Optional ThumbnailDeclutterer that keeps small and medium thumbnails apart
+        this.webgl = null; // Optional WebGLRenderer for dots and thumbnails; Canvas2D otherwise
         this.hoveredPoint = null;
+        this.selectedPoint = null;
+        this.focusedPoint = null; // Point stepped to with the keyboard
+        this.lastNotifiedCamera = null;
+        this.viewSize = null; // {width, height} while drawing somewhere other than the canvas (image export)
+        this.minimapCollapsed = false;
+        this.minimapDots = document.createElement('canvas'); // Cached dot layer of the minimap
+        this.minimapDotsKey = null;
 
         // LOD thresholds - adjusted for proper zoom-dependent sizing
         // These thresholds now work with the new sizing formula
@@ -153,14 +294,16 @@ class EmbeddingMap {
         // Mouse/touch events
         this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
         this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.canvas.addEventListener('mouseup', () => this.onMouseUp());
+        this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
         this.canvas.addEventListener('mouseleave', () => this.onMouseUp());
         this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        this.canvas.addEventListener('dblclick', (e) => this.onDoubleClick(e));
 
         // Touch events
         this.canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
         this.canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
-        this.canvas.addEventListener('touchend', () => this.onTouchEnd());
+        this.canvas.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        this.canvas.addEventListener('touchcancel', (e) => this.onTouchCancel(e));
 
         this.startRenderLoop();
     }
@@ -176,12 +319,18 @@ class EmbeddingMap {
 
         this.ctx.scale(dpr, dpr);
 
-        // Resize minimap
-        this.minimap.width = 180;
-        this.minimap.height = 180;
+        this.resizeMinimap();
+    }
+
+    // The minimap canvas matches its container, which can be resized (see MinimapController)
+    resizeMinimap() {
+        this.minimap.width = this.minimap.clientWidth || 180;
+        this.minimap.height = this.minimap.clientHeight || 180;
     }
 
     loadData(data) {
+        this.clearData();
+
         // Apply coordinate scaling to expand the data space
         // Scale all point coordinates by SCALE_FACTOR
         this.allPoints = data.points.map(point => ({
@@ -189,6 +338,7 @@ class EmbeddingMap {
             x: point.x * this.SCALE_FACTOR,
             y: point.y * this.SCALE_FACTOR
         }));
+        this.pointsById = new Map(this.allPoints.map(point => [point.id, point]));
 
         // Scale bounds by SCALE_FACTOR
         this.bounds = {
@@ -198,7 +348,14 @@ class EmbeddingMap {
             maxY: data.bounds.maxY * this.SCALE_FACTOR
         };
 
-        // Build quadtree with scaled coordinates
+        this.buildQuadTree();
+
+        // Center camera on data
+        this.resetView();
+    }
+
+    // Index the points at their current positions
+    buildQuadTree() {
         const padding = 10 * this.SCALE_FACTOR;
         const qtBounds = {
             x: this.bounds.minX - padding,
@@ -212,9 +369,39 @@ class EmbeddingMap {
         for (const point of this.allPoints) {
             this.quadTree.insert(point);
         }
+    }
 
-        // Center camera on data
-        this.resetView();
+    // Drop everything tied to the current dataset before another one is loaded
+    clearData() {
+        this.allPoints = [];
+        this.pointsById = new Map();
+        this.quadTree = null;
+        this.bounds = null;
+        this.filteredIds = null;
+        this.selectedIds = null;
+        this.filterVersion++;
+        this.morph = null;
+
+        this.hoveredPoint = null;
+        this.selectedPoint = null;
+        this.focusedPoint = null;
+        this.selectionGesture = null;
+
+        // Loads already in flight finish on their own; their results are discarded
+        this.imageCache = new Map();
+        this.imageLoadQueue = [];
+
+        if (this.webgl !== null) {
+            this.webgl.reset();
+        }
+    }
+
+    // Copy prompts and extra fields onto the points already loaded, in the same order
+    attachPointData(points) {
+        points.forEach((point, i) => {
+            const { x, y, ...fields } = point;
+            Object.assign(this.allPoints[i], fields);
+        });
     }
 
     resetView() {
@@ -239,31 +426,70 @@ class EmbeddingMap {
         this.targetCamera = { ...this.camera };
     }
 
+    // View state in original data units (used for permalinks)
+    getViewState() {
+        return {
+            x: this.targetCamera.x / this.SCALE_FACTOR,
+            y: this.targetCamera.y / this.SCALE_FACTOR,
+            zoom: this.targetCamera.zoom * this.SCALE_FACTOR
+        };
+    }
+
+    setViewState(state, immediate = false) {
+        this.targetCamera = {
+            x: state.x * this.SCALE_FACTOR,
+            y: state.y * this.SCALE_FACTOR,
+            zoom: state.zoom !== undefined ? state.zoom / this.SCALE_FACTOR : this.targetCamera.zoom
+        };
+
+        if (immediate) {
+            this.camera = { ...this.targetCamera };
+        }
+    }
+
     // Camera transformations
     worldToScreen(x, y) {
-        const canvasWidth = this.canvas.clientWidth;
-        const canvasHeight = this.canvas.clientHeight;
+        const { width, height } = this.getViewSize();
 
         return {
-            x: (x - this.camera.x) * this.camera.zoom + canvasWidth / 2,
-            y: (y - this.camera.y) * this.camera.zoom + canvasHeight / 2
+            x: (x - this.camera.x) * this.camera.zoom + width / 2,
+            y: (y - this.camera.y) * this.camera.zoom + height / 2
         };
     }
 
     screenToWorld(x, y) {
-        const canvasWidth = this.canvas.clientWidth;
-        const canvasHeight = this.canvas.clientHeight;
+        const { width, height } = this.getViewSize();
 
         return {
-            x: (x - canvasWidth / 2) / this.camera.zoom + this.camera.x,
-            y: (y - canvasHeight / 2) / this.camera.zoom + this.camera.y
+            x: (x - width / 2) / this.camera.zoom + this.camera.x,
+            y: (y - height / 2) / this.camera.zoom + this.camera.y
         };
     }
 
+    // Size in CSS pixels of what is being drawn: the canvas, or an export image
+    getViewSize() {
+        return this.viewSize || { width: this.canvas.clientWidth, height: this.canvas.clientHeight };
+    }
+
+    // Run fn with the projection set up for another view {width, height, camera}, e.g. an export
+    withView(view, fn) {
+        const saved = { camera: this.camera, viewSize: this.viewSize };
+        this.camera = { ...view.camera };
+        this.viewSize = { width: view.width, height: view.height };
+
+        try {
+            return fn();
+        } finally {
+            this.camera = saved.camera;
+            this.viewSize = saved.viewSize;
+        }
+    }
+
     // Get visible viewport in world coordinates
     getViewportBounds() {
+        const { width, height } = this.getViewSize();
         const topLeft = this.screenToWorld(0, 0);
-        const bottomRight = this.screenToWorld(this.canvas.clientWidth, this.canvas.clientHeight);
+        const bottomRight = this.screenToWorld(width, height);
 
         return {
             x: topLeft.x,
@@ -273,16 +499,47 @@ class EmbeddingMap {
         };
     }
 
+    // Visible viewport in original data units
+    getViewportDataBounds() {
+        const viewport = this.getViewportBounds();
+
+        return {
+            minX: viewport.x / this.SCALE_FACTOR,
+            minY: viewport.y / this.SCALE_FACTOR,
+            maxX: (viewport.x + viewport.width) / this.SCALE_FACTOR,
+            maxY: (viewport.y + viewport.height) / this.SCALE_FACTOR
+        };
+    }
+
     // Event handlers
     onMouseDown(e) {
+        this.mouseDownPos = { x: e.clientX, y: e.clientY };
+        this.velocity = { x: 0, y: 0 };
+
+        if (this.tool) {
+            this.toolPointerDown = true;
+            this.tool.onPointerDown(this.clientToWorld(e.clientX, e.clientY), this);
+            return;
+        }
+
+        // Shift-drag draws a box, Alt-drag a freehand lasso
+        if ((e.shiftKey || e.altKey) && this.quadTree) {
+            const world = this.clientToWorld(e.clientX, e.clientY);
+            this.selectionGesture = { mode: e.altKey ? 'lasso' : 'box', path: [world, world] };
+            return;
+        }
+
         this.isDragging = true;
         this.lastMouse = { x: e.clientX, y: e.clientY };
-        this.velocity = { x: 0, y: 0 };
         this.canvas.classList.add('dragging');
     }
 
     onMouseMove(e) {
-        if (this.isDragging) {
+        if (this.tool) {
+            this.tool.onPointerMove(this.clientToWorld(e.clientX, e.clientY), this, this.toolPointerDown);
+        } else if (this.selectionGesture) {
+            this.extendSelectionGesture(e.clientX, e.clientY);
+        } else if (this.isDragging) {
             const dx = e.clientX - this.lastMouse.x;
             const dy = e.clientY - this.lastMouse.y;
 
@@ -298,23 +555,155 @@ class EmbeddingMap {
         }
     }
 
-    onMouseUp() {
+    onMouseUp(e) {
+        // Without an event (pointer left the canvas, touch ended) the tool keeps its last position
+        if (this.toolPointerDown) {
+            this.toolPointerDown = false;
+            this.mouseDownPos = null;
+            this.tool.onPointerUp(e ? this.clientToWorld(e.clientX, e.clientY) : null, this);
+            return;
+        }
+
+        // A press that barely moved is a click rather than a drag
+        if (e && this.mouseDownPos) {
+            const travel = Math.hypot(e.clientX - this.mouseDownPos.x, e.clientY - this.mouseDownPos.y);
+            if (travel <= this.CLICK_TOLERANCE) {
+                this.selectionGesture = null;
+                this.onClick(e);
+            }
+        }
+
+        if (this.selectionGesture) {
+            this.finishSelectionGesture();
+        }
+
         this.isDragging = false;
+        this.mouseDownPos = null;
         this.canvas.classList.remove('dragging');
     }
 
+    onClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.clickAt(e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    // Double-click opens an image (see onPointOpen)
+    onDoubleClick(e) {
+        if (this.tool) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const point = this.pickPoint(e.clientX - rect.left, e.clientY - rect.top);
+
+        if (point && this.onPointOpen) {
+            this.onPointOpen(point);
+        }
+    }
+
+    // Click (or tap) at a canvas position
+    clickAt(x, y) {
+        const point = this.pickPoint(x, y);
+
+        // Cancel any momentum left over from the press
+        this.velocity = { x: 0, y: 0 };
+
+        if (this.onPointClick) {
+            this.onPointClick(point, this.screenToWorld(x, y));
+        }
+    }
+
+    clientToWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.screenToWorld(clientX - rect.left, clientY - rect.top);
+    }
+
+    // Box/lasso selection
+    extendSelectionGesture(clientX, clientY) {
+        const gesture = this.selectionGesture;
+        const world = this.clientToWorld(clientX, clientY);
+
+        if (gesture.mode === 'box') {
+            gesture.path[1] = world;
+            return;
+        }
+
+        // Skip samples closer than a few screen pixels to keep the polygon small
+        const last = gesture.path[gesture.path.length - 1];
+        const minStep = 3 / this.camera.zoom;
+        if (Math.abs(world.x - last.x) >= minStep || Math.abs(world.y - last.y) >= minStep) {
+            gesture.path.push(world);
+        }
+    }
+
+    finishSelectionGesture() {
+        const { mode, path } = this.selectionGesture;
+        this.selectionGesture = null;
+
+        const polygon = mode === 'box' ? this.boxToPolygon(path[0], path[1]) : path;
+        const ids = new Set(this.queryPolygon(polygon).map(p => p.id));
+
+        this.setSelectedIds(ids.size > 0 ? ids : null);
+
+        if (this.onRegionSelect) {
+            this.onRegionSelect(this.selectedIds);
+        }
+    }
+
+    boxToPolygon(a, b) {
+        return [
+            { x: a.x, y: a.y },
+            { x: b.x, y: a.y },
+            { x: b.x, y: b.y },
+            { x: a.x, y: b.y }
+        ];
+    }
+
+    // Points inside a world-space polygon: quadtree query on its bounding box, then point-in-polygon
+    queryPolygon(polygon) {
+        if (!this.quadTree || polygon.length < 3) return [];
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const p of polygon) {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }
+
+        const candidates = this.queryRange({ x: minX, y: minY, width: maxX - minX, height: maxY - minY });
+
+        return candidates.filter(point => this.isPointShown(point) && this.pointInPolygon(point, polygon));
+    }
+
+    // Even-odd ray casting test
+    pointInPolygon(point, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
     onWheel(e) {
         e.preventDefault();
 
         const rect = this.canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
+        this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, e.deltaY < 0 ? 1.1 : 0.9);
+    }
 
+    // Zoom by a factor while keeping the world point under a canvas position in place
+    zoomAt(mouseX, mouseY, zoomFactor) {
         // Get world position under cursor BEFORE zoom
         const worldPosBefore = this.screenToWorld(mouseX, mouseY);
 
         // Apply zoom
-        const zoomFactor = e.deltaY < 0 ? 1.1 : 0.9;
         const newZoom = Math.max(0.05, Math.min(20, this.targetCamera.zoom * zoomFactor));
 
         // Calculate world position under cursor AFTER zoom using the NEW zoom value
@@ -329,42 +718,124 @@ class EmbeddingMap {
         this.targetCamera.zoom = newZoom;
     }
 
+    // Touch: drawing tools get a single finger as a mouse; otherwise TouchGestureRecognizer
+    // turns the touches into gestures for applyGesture
     onTouchStart(e) {
         e.preventDefault();
-        if (e.touches.length === 1) {
-            const touch = e.touches[0];
-            this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+
+        if (this.tool) {
+            if (e.touches.length === 1) {
+                const touch = e.touches[0];
+                this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+            }
+            return;
         }
+
+        // A finger coming down stops any momentum, like a mouse press
+        this.velocity = { x: 0, y: 0 };
+        this.applyGestures(this.gestures.start(this.getTouches(e), e.timeStamp));
     }
 
     onTouchMove(e) {
         e.preventDefault();
-        if (e.touches.length === 1 && this.isDragging) {
-            const touch = e.touches[0];
-            this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+
+        if (this.tool) {
+            if (e.touches.length === 1 && this.toolPointerDown) {
+                const touch = e.touches[0];
+                this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+            }
+            return;
         }
+
+        this.applyGestures(this.gestures.move(this.getTouches(e), e.timeStamp));
     }
 
-    onTouchEnd() {
-        this.onMouseUp();
+    onTouchEnd(e) {
+        if (this.tool) {
+            this.onMouseUp();
+            return;
+        }
+
+        this.applyGestures(this.gestures.end(this.getTouches(e), e.timeStamp));
+
+        if (e.touches.length === 0) {
+            this.isDragging = false;
+        }
     }
 
-    updateHover(x, y) {
-        const worldPos = this.screenToWorld(x, y);
-        const visiblePoints = this.getVisiblePoints();
+    onTouchCancel(e) {
+        if (this.tool) {
+            this.onMouseUp();
+            return;
+        }
 
-        let closestPoint = null;
-        let closestDist = Infinity;
-        const hoverRadius = 30 / this.camera.zoom;
+        this.gestures.cancel();
+        this.isDragging = false;
+        this.velocity = { x: 0, y: 0 };
+    }
 
-        for (const point of visiblePoints) {
-            const dist = Math.sqrt((point.x - worldPos.x) ** 2 + (point.y - worldPos.y) ** 2);
-            if (dist < hoverRadius && dist < closestDist) {
-                closestPoint = point;
-                closestDist = dist;
-            }
+    // Fingers still down, as [{id, x, y}] in canvas pixels
+    getTouches(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [...e.touches].map(touch => ({
+            id: touch.identifier,
+            x: touch.clientX - rect.left,
+            y: touch.clientY - rect.top
+        }));
+    }
+
+    applyGestures(gestures) {
+        for (const gesture of gestures) {
+            this.applyGesture(gesture);
+        }
+    }
+
+    applyGesture(gesture) {
+        switch (gesture.type) {
+            case 'pan':
+                // Same as a mouse drag, so momentum carries on the same way after release
+                this.isDragging = true;
+                this.velocity = { x: gesture.dx, y: gesture.dy };
+                this.targetCamera.x -= gesture.dx / this.camera.zoom;
+                this.targetCamera.y -= gesture.dy / this.camera.zoom;
+                break;
+
+            case 'pinch':
+                this.zoomAt(gesture.x, gesture.y, gesture.scale);
+                break;
+
+            case 'panEnd':
+                this.isDragging = false;
+                this.velocity = { ...gesture.velocity };
+                break;
+
+            case 'tap':
+                this.onTap(gesture.x, gesture.y);
+                break;
+
+            case 'doubleTap':
+                this.zoomAt(gesture.x, gesture.y, this.DOUBLE_TAP_ZOOM);
+                break;
+        }
+    }
+
+    // Touch screens have no hover: the first tap on an image shows its tooltip,
+    // tapping it again selects it, and tapping empty space acts as a click there
+    onTap(x, y) {
+        const point = this.pickPoint(x, y);
+
+        if (point !== null && point !== this.hoveredPoint) {
+            this.updateHover(x, y);
+            return;
         }
 
+        this.updateHover(x, y);
+        this.clickAt(x, y);
+    }
+
+    updateHover(x, y) {
+        const closestPoint = this.pickPoint(x, y);
+
         if (closestPoint !== this.hoveredPoint) {
             this.hoveredPoint = closestPoint;
 
@@ -374,20 +845,116 @@ class EmbeddingMap {
         }
     }
 
+    // Find the point drawn at a screen position: the thumbnail on top there, or else
+    // the nearest shown point (or decluttered dot) within the hover radius
+    pickPoint(x, y) {
+        if (!this.quadTree) return null;
+
+        const worldPos = this.screenToWorld(x, y);
+        const hoverRadius = 30 / this.camera.zoom;
+        const displaySize = this.getDisplaySize();
+        const renderMode = this.getRenderMode(displaySize);
+        let filter = (point) => this.isPointShown(point);
+
+        if (renderMode !== 'dot') {
+            const half = displaySize / 2 / this.camera.zoom;
+            const layout = this.isDecluttered(renderMode)
+                ? this.getThumbnailLayout(this.getVisiblePoints(), displaySize, renderMode)
+                : null;
+
+            if (layout) {
+                for (const { point, x: drawnX, y: drawnY } of layout.thumbnails) {
+                    if (Math.abs(drawnX - worldPos.x) <= half && Math.abs(drawnY - worldPos.y) <= half) {
+                        return point;
+                    }
+                }
+
+                const dots = new Set(layout.dots);
+                filter = (point) => dots.has(point);
+            } else {
+                // Queries list points in drawing order, so the last thumbnail under the pointer is on top
+                const under = this.queryPoints({ x: worldPos.x - half, y: worldPos.y - half, width: half * 2, height: half * 2 });
+                if (under.length > 0) {
+                    return under[under.length - 1];
+                }
+            }
+        }
+
+        const [nearest] = this.nearestPoints(worldPos.x, worldPos.y, 1, hoverRadius, filter);
+        return nearest ? nearest.point : null;
+    }
+
+    // k points nearest a world position as [{point, distance}] in world units, closest first.
+    // Mid-morph the quadtree is out of date, so scan instead.
+    nearestPoints(x, y, k, maxDistance = Infinity, filter = null) {
+        if (!this.quadTree) return [];
+
+        if (!this.isMorphing()) {
+            return this.quadTree.nearest(x, y, k, maxDistance, filter);
+        }
+
+        return this.allPoints
+            .filter(point => !filter || filter(point))
+            .map(point => ({ point, distance: Math.sqrt((point.x - x) ** 2 + (point.y - y) ** 2) }))
+            .filter(entry => entry.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, k);
+    }
+
     getVisiblePoints() {
+        return this.queryPoints(this.getViewportBounds());
+    }
+
+    // Points inside a world-space rectangle, respecting the active filter
+    queryPoints(range) {
         if (!this.quadTree) return [];
 
-        const viewport = this.getViewportBounds();
-        let points = this.quadTree.query(viewport);
+        let points = this.queryRange(range);
 
-        // Apply filter if active
-        if (this.filteredIds !== null) {
-            points = points.filter(p => this.filteredIds.has(p.id));
+        // Apply filter and hidden color categories if active
+        if (this.filteredIds !== null || (this.colorizer && this.colorizer.hiddenCategories.size > 0)) {
+            points = points.filter(p => this.isPointShown(p));
         }
 
         return points;
     }
 
+    // Points inside a world-space rectangle. Mid-morph the quadtree is out of date, so scan instead.
+    queryRange(range) {
+        if (!this.isMorphing()) {
+            return this.quadTree.query(range);
+        }
+
+        return this.allPoints.filter(p =>
+            p.x >= range.x && p.x <= range.x + range.width &&
+            p.y >= range.y && p.y <= range.y + range.height
+        );
+    }
+
+    isPointShown(point) {
+        return (this.filteredIds === null || this.filteredIds.has(point.id)) &&
+            !(this.colorizer && this.colorizer.isHidden(point.id));
+    }
+
+    // Query comparison colors win over the color-by mode
+    getPointColor(point) {
+        if (this.comparison !== null) {
+            const { a, b, colors } = this.comparison;
+            const inA = a.has(point.id);
+            const inB = b.has(point.id);
+            if (inA || inB) {
+                return inA && inB ? colors.both : (inA ? colors.a : colors.b);
+            }
+        }
+
+        return (this.colorizer && this.colorizer.getColor(point.id)) || '#6366f1';
+    }
+
+    // Whether points have colors of their own (otherwise dots are the default color and thumbnails unframed)
+    hasPointColors() {
+        return this.comparison !== null || (this.colorizer !== null && this.colorizer.isActive());
+    }
+
     // Image loading
     loadImage(id) {
         if (this.imageCache.has(id)) {
@@ -404,6 +971,31 @@ class EmbeddingMap {
         return img;
     }
 
+    // Where to draw a thumbnail from: {image, sx, sy, sw, sh}, or null until it has loaded.
+    // Sprite sheets are used up to their tile size; bigger thumbnails use the full-size file.
+    getThumbnail(id, size) {
+        if (this.spriteAtlas !== null && size <= this.spriteAtlas.tileSize) {
+            const sprite = this.spriteAtlas.getSprite(id);
+            if (sprite !== undefined) return sprite;
+        }
+
+        const img = this.loadImage(id);
+        if (!img.complete || img.naturalWidth === 0) return null;
+
+        return { image: img, sx: 0, sy: 0, sw: img.naturalWidth, sh: img.naturalHeight };
+    }
+
+    // Points whose thumbnails at this size are still loading (failed ones count as done).
+    // Asking starts the loads, so polling this until it is empty waits for all of them.
+    getPendingThumbnails(points, size) {
+        return points.filter(point => {
+            if (this.getThumbnail(point.id, size)) return false;
+
+            const img = this.imageCache.get(point.id);
+            return !(img && img.src && img.complete);
+        });
+    }
+
     processImageQueue() {
         while (this.currentLoads < this.maxConcurrentLoads && this.imageLoadQueue.length > 0) {
             const img = this.imageLoadQueue.shift();
@@ -419,7 +1011,7 @@ class EmbeddingMap {
                 this.processImageQueue();
             };
 
-            img.src = `thumbnails/image_${img.dataset.id}.jpg`;
+            img.src = this.getImageUrl(img.dataset.id);
         }
     }
 
@@ -434,11 +1026,48 @@ class EmbeddingMap {
     }
 
     update() {
+        // Advance a layout morph animation
+        const animation = this.morph && this.morph.animation;
+        if (animation) {
+            const progress = Math.min(1, (performance.now() - animation.start) / animation.duration);
+            const eased = this.EASINGS.easeInOutCubic(progress);
+
+            if (progress === 1) {
+                this.morph.animation = null;
+            }
+            this.applyMorph(animation.fromT + (animation.toT - animation.fromT) * eased);
+        }
+
+        // Timed camera move; any other change to the target (drag, wheel, buttons) takes over
+        const move = this.cameraAnimation;
+        if (move) {
+            const target = this.targetCamera;
+            if (target.x !== move.to.x || target.y !== move.to.y || target.zoom !== move.to.zoom) {
+                this.cameraAnimation = null;
+            } else {
+                const progress = Math.min(1, (performance.now() - move.start) / move.duration);
+                const eased = move.easing(progress);
+
+                // Zoom is interpolated geometrically so zooming in and out feel equally fast
+                this.camera = {
+                    x: move.from.x + (move.to.x - move.from.x) * eased,
+                    y: move.from.y + (move.to.y - move.from.y) * eased,
+                    zoom: move.from.zoom * (move.to.zoom / move.from.zoom) ** eased
+                };
+
+                if (progress === 1) {
+                    this.cameraAnimation = null;
+                }
+            }
+        }
+
         // Smooth camera interpolation
-        const lerp = 0.15;
-        this.camera.x += (this.targetCamera.x - this.camera.x) * lerp;
-        this.camera.y += (this.targetCamera.y - this.camera.y) * lerp;
-        this.camera.zoom += (this.targetCamera.zoom - this.camera.zoom) * lerp;
+        if (!this.cameraAnimation) {
+            const lerp = 0.15;
+            this.camera.x += (this.targetCamera.x - this.camera.x) * lerp;
+            this.camera.y += (this.targetCamera.y - this.camera.y) * lerp;
+            this.camera.zoom += (this.targetCamera.zoom - this.camera.zoom) * lerp;
+        }
 
         // Apply momentum when not dragging
         if (!this.isDragging) {
@@ -450,110 +1079,352 @@ class EmbeddingMap {
                 this.targetCamera.y -= this.velocity.y / this.camera.zoom;
             }
         }
+
+        // Notify when the camera destination changes
+        const last = this.lastNotifiedCamera;
+        const target = this.targetCamera;
+        if (!last || last.x !== target.x || last.y !== target.y || last.zoom !== target.zoom) {
+            this.lastNotifiedCamera = { ...target };
+
+            if (this.onCameraChange) {
+                this.onCameraChange(this.getViewState());
+            }
+        }
     }
 
     render() {
-        const ctx = this.ctx;
-        const canvasWidth = this.canvas.clientWidth;
-        const canvasHeight = this.canvas.clientHeight;
-
-        // Clear canvas
-        ctx.fillStyle = '#0f0f0f';
-        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        const visiblePoints = this.renderView(this.ctx, this.canvas.clientWidth, this.canvas.clientHeight, {
+            webgl: true,
+            overlays: this.overlays,
+            hover: true,
+            gesture: true
+        });
 
         if (!this.quadTree) return;
 
-        const visiblePoints = this.getVisiblePoints();
+        // Render minimap
+        this.renderMinimap();
 
-        // Calculate image size based on viewport width in scaled coordinate space
-        // Scaled data width = 200 * SCALE_FACTOR = 10000 units
-        // Formula: imageSize = 4 * (scaledDataWidth / viewportWidth)
-        // - When viewportWidth = 10000 (full map): imageSize = 4px
-        // - When viewportWidth = 1000 (zoomed in 10x): imageSize = 40px
-        // - When viewportWidth = 100 (zoomed in 100x): imageSize = 400px
-        const viewport = this.getViewportBounds();
-        const viewportWidth = viewport.width;
+        // Notify visible point count
+        if (this.onVisibleCountChange) {
+            this.onVisibleCountChange(visiblePoints.length);
+        }
+    }
+
+    // Thumbnail size in CSS pixels for the current zoom
+    // Scaled data width = 200 * SCALE_FACTOR = 10000 units
+    // Formula: imageSize = 2.5 * (scaledDataWidth / viewportWidth), with the viewport as wide as the canvas
+    // - When viewportWidth = 10000 (full map): imageSize = 2.5px
+    // - When viewportWidth = 1000 (zoomed in 10x): imageSize = 25px
+    // - When viewportWidth = 100 (zoomed in 100x): imageSize = 250px
+    // Measured against the canvas, so an export of any size draws thumbnails as big as the screen does.
+    getDisplaySize() {
+        const viewportWidth = this.canvas.clientWidth / this.camera.zoom;
         const scaledDataWidth = this.bounds.maxX - this.bounds.minX;
 
-        let displaySize = 2.5 * (scaledDataWidth / viewportWidth);
-        displaySize = Math.max(2, Math.min(256, displaySize));
+        const displaySize = 2.5 * (scaledDataWidth / viewportWidth);
+        return Math.max(2, Math.min(256, displaySize));
+    }
 
-        // Determine render mode based on display size
-        let renderMode;
+    getRenderMode(displaySize) {
         if (displaySize <= 8) {
-            renderMode = 'dot';
+            return 'dot';
         } else if (displaySize <= 32) {
-            renderMode = 'small';
+            return 'small';
         } else if (displaySize <= 128) {
-            renderMode = 'medium';
-        } else {
-            renderMode = 'large';
+            return 'medium';
         }
+        return 'large';
+    }
 
-        // Render points
-        for (const point of visiblePoints) {
-            const screen = this.worldToScreen(point.x, point.y);
-            const size = displaySize;
+    isDecluttered(renderMode) {
+        return this.declutter !== null && this.declutter.enabled && (renderMode === 'small' || renderMode === 'medium');
+    }
 
-            if (renderMode === 'dot') {
-                // Draw as colored dot
-                ctx.fillStyle = this.filteredIds && !this.filteredIds.has(point.id) ? '#333' : '#6366f1';
-                ctx.beginPath();
-                ctx.arc(screen.x, screen.y, size / 2, 0, Math.PI * 2);
-                ctx.fill();
-            } else {
-                // Draw thumbnail
-                const img = this.loadImage(point.id);
+    // Where the declutterer puts small and medium thumbnails, or null when they go at their points
+    getThumbnailLayout(points, displaySize, renderMode) {
+        if (!this.isDecluttered(renderMode)) {
+            return null;
+        }
+
+        return this.declutter.layout(this, points, displaySize);
+    }
 
-                if (img.complete && img.naturalWidth > 0) {
-                    const alpha = this.filteredIds && !this.filteredIds.has(point.id) ? 0.2 : 1.0;
-                    ctx.globalAlpha = alpha;
+    // Screen box {x, y, size} a point occupies as drawn, nudged or shrunk to a dot by decluttering
+    getDrawnBox(point, displaySize, layout) {
+        if (layout) {
+            const entry = layout.thumbnails.find(thumbnail => thumbnail.point === point);
+            if (!entry) {
+                return { ...this.worldToScreen(point.x, point.y), size: this.declutter.DOT_SIZE };
+            }
+            return { ...this.worldToScreen(entry.x, entry.y), size: displaySize };
+        }
+
+        return { ...this.worldToScreen(point.x, point.y), size: displaySize };
+    }
+
+    // Points a view draws. Filtered-out points are normally hidden; with dimFiltered they are drawn dimmed.
+    getViewPoints(dimFiltered = false) {
+        if (!dimFiltered) {
+            return this.getVisiblePoints();
+        }
+
+        return this.queryRange(this.getViewportBounds()).filter(p => !(this.colorizer && this.colorizer.isHidden(p.id)));
+    }
 
-                    ctx.drawImage(img, screen.x - size / 2, screen.y - size / 2, size, size);
+    // Draw the map into any 2D context, width x height CSS pixels, using the current projection
+    // (see withView). options: webgl, overlays, hover, gesture, dimFiltered, and pixelRatio, which
+    // picks thumbnail files sharp enough for a context scaled up by that much. Returns the points drawn.
+    renderView(ctx, width, height, options = {}) {
+        const { webgl = false, overlays = [], hover = false, gesture = false, dimFiltered = false, pixelRatio = 1 } = options;
 
-                    ctx.globalAlpha = 1.0;
+        // Clear canvas
+        ctx.fillStyle = '#0f0f0f';
+        ctx.fillRect(0, 0, width, height);
 
-                    // Draw prompt text only when zoomed very close
-                    // Truncated text at 128-200px, full text above 200px
-                    if (size > 128) {
-                        const maxWidth = size;
-                        // Show fuller text when very zoomed in (>200px)
-                        const truncateLength = size > 200 ? 100 : 30;
-                        const truncated = this.truncateText(point.prompt, truncateLength);
+        if (!this.quadTree) return [];
+
+        const visiblePoints = this.getViewPoints(dimFiltered);
+        const displaySize = this.getDisplaySize();
+        const renderMode = this.getRenderMode(displaySize);
+        const layout = this.getThumbnailLayout(visiblePoints, displaySize, renderMode);
 
-                        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-                        ctx.fillRect(screen.x - size / 2, screen.y + size / 2, size, 20);
+        // Density heatmap replaces the dots and sits beneath thumbnails
+        const showHeatmap = this.heatmap !== null && this.heatmap.enabled;
+        if (showHeatmap) {
+            this.heatmap.render(ctx, this);
+        }
 
-                        ctx.fillStyle = '#e0e0e0';
-                        ctx.font = '10px sans-serif';
-                        ctx.textAlign = 'center';
-                        ctx.fillText(truncated, screen.x, screen.y + size / 2 + 14, maxWidth);
+        // Leader lines from nudged thumbnails back to their points, beneath the thumbnails
+        if (layout) {
+            this.renderLeaderLines(ctx, layout);
+        }
+
+        // WebGL draws all dots, thumbnails and borders in a few calls; captions stay on the 2D canvas
+        const drawnByWebGL = webgl && this.webgl !== null &&
+            this.webgl.render(this, visiblePoints, displaySize, renderMode, showHeatmap, layout);
+
+        if (drawnByWebGL) {
+            ctx.drawImage(this.webgl.canvas, 0, 0, width, height);
+
+            if (renderMode !== 'dot' && displaySize > 128) {
+                for (const point of visiblePoints) {
+                    if (this.getThumbnail(point.id, displaySize)) {
+                        this.renderCaption(ctx, point, this.worldToScreen(point.x, point.y), displaySize);
                     }
-                } else {
-                    // Placeholder while loading
-                    ctx.fillStyle = '#2a2a2a';
-                    ctx.fillRect(screen.x - size / 2, screen.y - size / 2, size, size);
+                }
+            }
+        } else if (layout) {
+            // Decluttered (Canvas2D fallback): the points that lost out are dots
+            if (!showHeatmap) {
+                for (const point of layout.dots) {
+                    this.drawDot(ctx, point, this.worldToScreen(point.x, point.y), this.declutter.DOT_SIZE);
                 }
             }
 
-            // Highlight hovered point
-            if (this.hoveredPoint === point) {
-                ctx.strokeStyle = '#6366f1';
-                ctx.lineWidth = 3;
-                ctx.strokeRect(screen.x - size / 2 - 2, screen.y - size / 2 - 2, size + 4, size + 4);
+            for (const { point, x, y } of layout.thumbnails) {
+                this.drawThumbnail(ctx, point, this.worldToScreen(x, y), displaySize, pixelRatio);
+            }
+        } else {
+            // Render points (Canvas2D fallback)
+            for (const point of visiblePoints) {
+                const screen = this.worldToScreen(point.x, point.y);
+
+                if (renderMode !== 'dot') {
+                    this.drawThumbnail(ctx, point, screen, displaySize, pixelRatio);
+                } else if (!showHeatmap) {
+                    // Otherwise dots are represented by the heatmap
+                    this.drawDot(ctx, point, screen, displaySize);
+                }
             }
         }
 
-        // Render minimap
-        this.renderMinimap();
+        // Highlight hovered point where it is drawn
+        if (hover && this.hoveredPoint && this.isPointShown(this.hoveredPoint)) {
+            const box = this.getDrawnBox(this.hoveredPoint, displaySize, layout);
 
-        // Notify visible point count
-        if (this.onVisibleCountChange) {
-            this.onVisibleCountChange(visiblePoints.length);
+            ctx.strokeStyle = '#6366f1';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(box.x - box.size / 2 - 2, box.y - box.size / 2 - 2, box.size + 4, box.size + 4);
+        }
+
+        // Keyboard focus ring, dashed so it reads differently from hover and selection
+        if (hover && this.focusedPoint && this.isPointShown(this.focusedPoint)) {
+            const box = this.getDrawnBox(this.focusedPoint, displaySize, layout);
+            const half = Math.max(box.size, 8) / 2 + 6;
+
+            ctx.save();
+            ctx.strokeStyle = '#f5f5f5';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(box.x - half, box.y - half, half * 2, half * 2);
+            ctx.restore();
+        }
+
+        // Overlays (labels etc.) are laid out for a resting layout, so they wait out a morph
+        if (!this.isMorphing()) {
+            for (const overlay of overlays) {
+                overlay.render(ctx, this);
+            }
+        }
+
+        // Selected point is drawn last so its highlight stays on top
+        if (this.selectedPoint) {
+            this.renderSelectedPoint(ctx, displaySize);
+        }
+
+        // Box/lasso being drawn
+        if (gesture && this.selectionGesture) {
+            this.renderSelectionGesture(ctx);
+        }
+
+        return visiblePoints;
+    }
+
+    isDimmed(point) {
+        return this.filteredIds !== null && !this.filteredIds.has(point.id);
+    }
+
+    drawDot(ctx, point, screen, size) {
+        if (this.selectedIds !== null && this.selectedIds.has(point.id)) {
+            ctx.fillStyle = '#22d3ee';
+        } else {
+            ctx.fillStyle = this.isDimmed(point) ? '#333' : this.getPointColor(point);
+        }
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, size / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    drawThumbnail(ctx, point, screen, size, pixelRatio) {
+        const thumbnail = this.getThumbnail(point.id, size * pixelRatio);
+
+        if (thumbnail) {
+            ctx.globalAlpha = this.isDimmed(point) ? 0.2 : 1.0;
+
+            const { image, sx, sy, sw, sh } = thumbnail;
+            ctx.drawImage(image, sx, sy, sw, sh, screen.x - size / 2, screen.y - size / 2, size, size);
+
+            ctx.globalAlpha = 1.0;
+
+            this.renderCaption(ctx, point, screen, size);
+        } else {
+            // Placeholder while loading
+            ctx.fillStyle = '#2a2a2a';
+            ctx.fillRect(screen.x - size / 2, screen.y - size / 2, size, size);
+        }
+
+        // Outline region-selected thumbnails, or color them by the active color mode
+        const inSelection = this.selectedIds !== null && this.selectedIds.has(point.id);
+        if (inSelection || this.hasPointColors()) {
+            ctx.strokeStyle = inSelection ? '#22d3ee' : this.getPointColor(point);
+            ctx.lineWidth = 2;
+            ctx.strokeRect(screen.x - size / 2 - 1, screen.y - size / 2 - 1, size + 2, size + 2);
+        }
+    }
+
+    renderLeaderLines(ctx, layout) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(224, 224, 224, 0.5)';
+        ctx.fillStyle = 'rgba(224, 224, 224, 0.8)';
+        ctx.lineWidth = 1;
+
+        for (const { point, x, y, displaced } of layout.thumbnails) {
+            if (!displaced) continue;
+
+            const from = this.worldToScreen(point.x, point.y);
+            const to = this.worldToScreen(x, y);
+
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(from.x, from.y, 2, 0, Math.PI * 2);
+            ctx.fill();
         }
+
+        ctx.restore();
+    }
+
+    // Prompt text under a thumbnail, only when zoomed very close
+    // Truncated text at 128-200px, full text above 200px
+    renderCaption(ctx, point, screen, size) {
+        if (size <= 128) return;
+
+        // Show fuller text when very zoomed in (>200px)
+        const truncateLength = size > 200 ? 100 : 30;
+        const truncated = this.truncateText(point.prompt, truncateLength);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(screen.x - size / 2, screen.y + size / 2, size, 20);
+
+        ctx.fillStyle = '#e0e0e0';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(truncated, screen.x, screen.y + size / 2 + 14, size);
+    }
+
+    renderSelectedPoint(ctx, size) {
+        const screen = this.worldToScreen(this.selectedPoint.x, this.selectedPoint.y);
+        const half = Math.max(size, 8) / 2 + 4;
+
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(screen.x - half, screen.y - half, half * 2, half * 2);
+    }
+
+    renderSelectionGesture(ctx) {
+        const { mode, path } = this.selectionGesture;
+        const polygon = mode === 'box' ? this.boxToPolygon(path[0], path[1]) : path;
+
+        ctx.beginPath();
+        polygon.forEach((p, i) => {
+            const screen = this.worldToScreen(p.x, p.y);
+            if (i === 0) {
+                ctx.moveTo(screen.x, screen.y);
+            } else {
+                ctx.lineTo(screen.x, screen.y);
+            }
+        });
+        ctx.closePath();
+
+        ctx.fillStyle = 'rgba(34, 211, 238, 0.1)';
+        ctx.fill();
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = '#22d3ee';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Minimap pixels <-> world coordinates: the whole map, centered with a small margin
+    getMinimapProjection() {
+        const width = this.minimap.width;
+        const height = this.minimap.height;
+        const dataWidth = this.bounds.maxX - this.bounds.minX;
+        const dataHeight = this.bounds.maxY - this.bounds.minY;
+        const scale = Math.min(width / dataWidth, height / dataHeight) * 0.9;
+        const offsetX = (width - dataWidth * scale) / 2;
+        const offsetY = (height - dataHeight * scale) / 2;
+
+        return {
+            scale,
+            project: (point) => ({
+                x: (point.x - this.bounds.minX) * scale + offsetX,
+                y: (point.y - this.bounds.minY) * scale + offsetY
+            }),
+            unproject: (x, y) => ({
+                x: (x - offsetX) / scale + this.bounds.minX,
+                y: (y - offsetY) / scale + this.bounds.minY
+            })
+        };
     }
 
     renderMinimap() {
+        if (this.minimapCollapsed) return;
+
         const ctx = this.minimapCtx;
         const width = this.minimap.width;
         const height = this.minimap.height;
@@ -564,30 +1435,81 @@ class EmbeddingMap {
 
         if (!this.bounds) return;
 
-        // Draw all points as small dots
-        const dataWidth = this.bounds.maxX - this.bounds.minX;
-        const dataHeight = this.bounds.maxY - this.bounds.minY;
-        const scale = Math.min(width / dataWidth, height / dataHeight) * 0.9;
-        const offsetX = (width - dataWidth * scale) / 2;
-        const offsetY = (height - dataHeight * scale) / 2;
+        const toMinimap = this.getMinimapProjection();
 
-        ctx.fillStyle = '#3a3a3a';
-        for (const point of this.allPoints) {
-            const x = (point.x - this.bounds.minX) * scale + offsetX;
-            const y = (point.y - this.bounds.minY) * scale + offsetY;
-            ctx.fillRect(x, y, 1, 1);
+        if (this.heatmap !== null && this.heatmap.enabled && this.heatmap.showOnMinimap) {
+            this.heatmap.renderMinimap(ctx, this, toMinimap, width, height);
+        } else {
+            ctx.drawImage(this.renderMinimapDots(toMinimap, width, height), 0, 0);
+        }
+
+        // Overlays that also mark the minimap
+        for (const overlay of this.overlays) {
+            if (overlay.renderMinimap) {
+                overlay.renderMinimap(ctx, this, toMinimap);
+            }
         }
 
         // Draw viewport rectangle
         const viewport = this.getViewportBounds();
-        const vx = (viewport.x - this.bounds.minX) * scale + offsetX;
-        const vy = (viewport.y - this.bounds.minY) * scale + offsetY;
-        const vw = viewport.width * scale;
-        const vh = viewport.height * scale;
+        const corner = toMinimap.project(viewport);
+        const vw = viewport.width * toMinimap.scale;
+        const vh = viewport.height * toMinimap.scale;
 
         ctx.strokeStyle = '#6366f1';
         ctx.lineWidth = 2;
-        ctx.strokeRect(vx, vy, vw, vh);
+        ctx.strokeRect(corner.x, corner.y, vw, vh);
+    }
+
+    // Every point as a pixel, drawn again only when the size, the shown points or their
+    // positions change. Search matches stand out against the rest.
+    renderMinimapDots(toMinimap, width, height) {
+        const key = `${width}x${height}|${this.filterVersion}`;
+        if (key === this.minimapDotsKey && !this.isMorphing()) {
+            return this.minimapDots;
+        }
+
+        const canvas = this.minimapDots;
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const colored = this.hasPointColors();
+        const matches = [];
+
+        for (const point of this.allPoints) {
+            if (this.colorizer !== null && this.colorizer.isHidden(point.id)) continue;
+
+            if (this.filteredIds !== null) {
+                if (this.filteredIds.has(point.id)) {
+                    matches.push(point);
+                    continue;
+                }
+                ctx.fillStyle = '#262626';
+            } else {
+                ctx.fillStyle = colored ? this.getPointColor(point) : '#3a3a3a';
+            }
+
+            const p = toMinimap.project(point);
+            ctx.fillRect(p.x, p.y, 1, 1);
+        }
+
+        // Matches go on top, larger
+        for (const point of matches) {
+            const p = toMinimap.project(point);
+            ctx.fillStyle = colored ? this.getPointColor(point) : '#a5b4fc';
+            ctx.fillRect(p.x - 0.5, p.y - 0.5, 2, 2);
+        }
+
+        this.minimapDotsKey = key;
+        return canvas;
+    }
+
+    setMinimapCollapsed(collapsed) {
+        this.minimapCollapsed = collapsed;
+        if (!collapsed) {
+            this.resizeMinimap();
+        }
     }
 
     truncateText(text, maxLength) {
@@ -605,23 +1527,198 @@ class EmbeddingMap {
         this.targetCamera.zoom = Math.max(0.05, this.targetCamera.zoom);
     }
 
-    panTo(x, y, zoom) {
+    // Move the view by screen pixels
+    panBy(dx, dy) {
+        this.cameraAnimation = null;
+        this.targetCamera.x += dx / this.targetCamera.zoom;
+        this.targetCamera.y += dy / this.targetCamera.zoom;
+    }
+
+    // With options.duration (ms) the camera arrives exactly then, following options.easing
+    // (a name from EASINGS); otherwise it eases in with the usual lerp
+    panTo(x, y, zoom, options = {}) {
         this.targetCamera.x = x;
         this.targetCamera.y = y;
         if (zoom !== undefined) {
             this.targetCamera.zoom = zoom;
         }
+
+        this.cameraAnimation = options.duration > 0 ? {
+            from: { ...this.camera },
+            to: { ...this.targetCamera },
+            start: performance.now(),
+            duration: options.duration,
+            easing: this.EASINGS[options.easing] || this.EASINGS.easeInOutCubic
+        } : null;
+    }
+
+    // Animate to show a map-space rectangle {minX, minY, maxX, maxY}
+    fitBounds(bounds, padding = 0.85) {
+        const width = Math.max(bounds.maxX - bounds.minX, this.SCALE_FACTOR);
+        const height = Math.max(bounds.maxY - bounds.minY, this.SCALE_FACTOR);
+        const zoom = Math.min(this.canvas.clientWidth / width, this.canvas.clientHeight / height) * padding;
+
+        this.panTo((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2, zoom);
+    }
+
+    setHeatmap(heatmap) {
+        this.heatmap = heatmap;
+    }
+
+    setDeclutterer(declutter) {
+        this.declutter = declutter;
+    }
+
+    setWebGLRenderer(renderer) {
+        this.webgl = renderer;
+    }
+
+    setSpriteAtlas(atlas) {
+        this.spriteAtlas = atlas;
+    }
+
+    setImageUrlTemplate(template) {
+        this.imageUrlTemplate = template;
+    }
+
+    getImageUrl(id) {
+        return this.imageUrlTemplate.replace(/\{id\}/g, id);
+    }
+
+    addOverlay(overlay) {
+        this.overlays.push(overlay);
+    }
+
+    setSelectedPoint(id) {
+        this.selectedPoint = id === null ? null : this.getPointById(id) || null;
+    }
+
+    setFocusedPoint(point) {
+        this.focusedPoint = point;
+    }
+
+    // tool: {onPointerDown(world, map), onPointerMove(world, map, pressed), onPointerUp(world | null, map)}, or null
+    setTool(tool) {
+        this.tool = tool;
+        this.toolPointerDown = false;
+        this.canvas.classList.toggle('drawing', tool !== null);
+
+        if (tool !== null) {
+            this.hoveredPoint = null;
+            if (this.onHoverChange) {
+                this.onHoverChange(null);
+            }
+        }
+    }
+
+    setSelectedIds(ids) {
+        this.selectedIds = ids;
+    }
+
+    clearSelectedIds() {
+        this.selectedIds = null;
+    }
+
+    setColorizer(colorizer) {
+        this.colorizer = colorizer;
+    }
+
+    setComparison(comparison) {
+        this.comparison = comparison;
+        this.invalidateFilter();
     }
 
     setFilter(ids) {
         this.filteredIds = ids;
+        this.filterVersion++;
     }
 
     clearFilter() {
         this.filteredIds = null;
+        this.filterVersion++;
+    }
+
+    // Call when something other than the search filter changes which points are shown
+    invalidateFilter() {
+        this.filterVersion++;
+    }
+
+    // Layouts are {xs, ys, bounds} in original data units, indexed like allPoints.
+    // Place the points a fraction t of the way from one layout to another.
+    setMorph(from, to, t) {
+        this.morph = { from, to, t, animation: null };
+        this.applyMorph(t);
+    }
+
+    // Animate to t (1 = the destination layout), continuing from the current
+    // progress when already between the same two layouts
+    animateMorph(from, to, t = 1) {
+        const samePair = this.morph && this.morph.from === from && this.morph.to === to;
+        const fromT = samePair ? this.morph.t : 0;
+
+        this.morph = {
+            from,
+            to,
+            t: fromT,
+            animation: { fromT, toT: t, start: performance.now(), duration: this.MORPH_DURATION * Math.abs(t - fromT) }
+        };
+
+        if (fromT === t) {
+            this.morph.animation = null;
+            this.applyMorph(t);
+        }
+    }
+
+    isMorphing() {
+        return this.morph !== null && (this.morph.animation !== null || (this.morph.t > 0 && this.morph.t < 1));
+    }
+
+    applyMorph(t) {
+        const { from, to } = this.morph;
+        const scale = this.SCALE_FACTOR;
+        const lerp = (a, b) => (a + (b - a) * t) * scale;
+
+        this.morph.t = t;
+
+        this.allPoints.forEach((point, i) => {
+            point.x = lerp(from.xs[i], to.xs[i]);
+            point.y = lerp(from.ys[i], to.ys[i]);
+        });
+
+        this.bounds = {
+            minX: lerp(from.bounds.minX, to.bounds.minX),
+            minY: lerp(from.bounds.minY, to.bounds.minY),
+            maxX: lerp(from.bounds.maxX, to.bounds.maxX),
+            maxY: lerp(from.bounds.maxY, to.bounds.maxY)
+        };
+
+        // At rest on either layout: index the new positions (the minimap heatmap caches on filterVersion)
+        const settled = !this.isMorphing();
+        if (settled) {
+            this.buildQuadTree();
+            this.filterVersion++;
+        }
+
+        if (this.onMorphChange) {
+            this.onMorphChange(t, settled);
+        }
     }
 
     getPointById(id) {
-        return this.allPoints.find(p => p.id === id);
+        return this.pointsById.get(id);
+    }
+
+    // Convert a point's position back to original data units
+    getDataPosition(point) {
+        return {
+            x: point.x / this.SCALE_FACTOR,
+            y: point.y / this.SCALE_FACTOR
+        };
+    }
+
+    // k nearest points in map space, with distances in original data units
+    getNearestPoints(point, k) {
+        return this.nearestPoints(point.x, point.y, k, Infinity, other => other !== point)
+            .map(({ point, distance }) => ({ point, distance: distance / this.SCALE_FACTOR }));
     }
 }
@@ -0,0 +1,151 @@
+/**
+ * Minimap.js - Steer the main view from the minimap, and resize or collapse it
+ *
+ * Clicking the minimap centers the view there; dragging the viewport rectangle
+ * moves it, keeping the grab point under the pointer. The wheel zooms the main
+ * view around its center. The panel's size and collapsed state are remembered.
+ */
+
+class MinimapController {
+    constructor(map) {
+        this.map = map;
+        this.container = document.getElementById('minimap-container');
+        this.canvas = map.minimap;
+        this.toggleBtn = document.getElementById('minimap-toggle');
+        this.resizeHandle = document.getElementById('minimap-resize');
+
+        this.STORAGE_KEY = 'embeddingMap.minimap';
+        this.MIN_SIZE = 100;
+        this.MAX_SIZE = 400;
+        this.WHEEL_ZOOM = 1.2;
+
+        this.size = null; // px; null keeps the stylesheet's size
+        this.collapsed = false;
+        this.drag = null; // {offset} while steering: world offset of the pointer from the view center
+        this.resize = null; // {size, x, y} at the start of a resize
+
+        this.init();
+    }
+
+    init() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            this.startDrag(e.clientX, e.clientY);
+        });
+        window.addEventListener('mousemove', (e) => this.onPointerMove(e.clientX, e.clientY));
+        window.addEventListener('mouseup', () => this.onPointerUp());
+
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                this.startDrag(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, { passive: false });
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                this.onPointerMove(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, { passive: false });
+        this.canvas.addEventListener('touchend', () => this.onPointerUp());
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const { width, height } = this.map.getViewSize();
+            this.map.zoomAt(width / 2, height / 2, e.deltaY < 0 ? this.WHEEL_ZOOM : 1 / this.WHEEL_ZOOM);
+        }, { passive: false });
+
+        this.resizeHandle.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            this.resize = { size: this.canvas.offsetWidth, x: e.clientX, y: e.clientY };
+        });
+
+        this.toggleBtn.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+
+        this.restore();
+    }
+
+    // World position under a client position on the minimap
+    toWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.map.getMinimapProjection().unproject(clientX - rect.left, clientY - rect.top);
+    }
+
+    // Grabbing inside the viewport rectangle drags it; anywhere else jumps the view there first
+    startDrag(clientX, clientY) {
+        if (!this.map.bounds) return;
+
+        const world = this.toWorld(clientX, clientY);
+        const viewport = this.map.getViewportBounds();
+        const inside = world.x >= viewport.x && world.x <= viewport.x + viewport.width &&
+            world.y >= viewport.y && world.y <= viewport.y + viewport.height;
+
+        this.drag = {
+            offset: inside
+                ? { x: world.x - this.map.targetCamera.x, y: world.y - this.map.targetCamera.y }
+                : { x: 0, y: 0 }
+        };
+        this.moveTo(world);
+    }
+
+    moveTo(world) {
+        this.map.panTo(world.x - this.drag.offset.x, world.y - this.drag.offset.y);
+    }
+
+    onPointerMove(clientX, clientY) {
+        if (this.drag) {
+            this.moveTo(this.toWorld(clientX, clientY));
+        } else if (this.resize) {
+            // The minimap sits in the bottom right corner, so it grows up and to the left
+            const grow = Math.max(this.resize.x - clientX, this.resize.y - clientY);
+            this.setSize(this.resize.size + grow);
+        }
+    }
+
+    onPointerUp() {
+        if (this.resize) {
+            this.save();
+        }
+        this.drag = null;
+        this.resize = null;
+    }
+
+    setSize(size) {
+        this.size = Math.round(Math.max(this.MIN_SIZE, Math.min(this.MAX_SIZE, size)));
+        this.canvas.style.width = this.size + 'px';
+        this.canvas.style.height = this.size + 'px';
+        this.map.resizeMinimap();
+    }
+
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        this.container.classList.toggle('collapsed', collapsed);
+        this.toggleBtn.textContent = collapsed ? '▴' : '▾';
+        this.toggleBtn.title = collapsed ? 'Show minimap' : 'Hide minimap';
+        this.toggleBtn.setAttribute('aria-expanded', String(!collapsed));
+        this.map.setMinimapCollapsed(collapsed);
+        this.save();
+    }
+
+    restore() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        } catch (error) {
+            // Unavailable or unreadable storage: keep the defaults
+        }
+
+        if (stored && typeof stored.size === 'number') {
+            this.setSize(stored.size);
+        }
+        this.setCollapsed(Boolean(stored && stored.collapsed));
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ size: this.size, collapsed: this.collapsed }));
+        } catch (error) {
+            // Not remembering the minimap is harmless
+        }
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Neighbors.js - Lines from a point to its k nearest neighbors on the map
+ *
+ * The neighbors come from EmbeddingMap.getNearestPoints (a quadtree k-nearest
+ * search in layout space), so they answer "what sits closest to this image on
+ * the map?". Nearer neighbors get stronger lines.
+ */
+
+class NeighborLinks {
+    constructor() {
+        this.enabled = false;
+        this.COLOR = '52, 211, 153'; // rgb, alpha varies by rank
+
+        this.origin = null; // Map point the lines start from
+        this.neighbors = []; // [{point, distance}] closest first
+    }
+
+    // origin and neighbor points are the map's own (scaled) points, so the lines follow them
+    setNeighbors(origin, neighbors) {
+        this.origin = origin;
+        this.neighbors = neighbors;
+    }
+
+    clear() {
+        this.origin = null;
+        this.neighbors = [];
+    }
+
+    // Overlay hook called by EmbeddingMap.render
+    render(ctx, map) {
+        if (!this.enabled || this.origin === null) return;
+
+        const from = map.worldToScreen(this.origin.x, this.origin.y);
+
+        ctx.save();
+        ctx.lineWidth = 1.5;
+
+        this.neighbors.forEach(({ point }, rank) => {
+            const to = map.worldToScreen(point.x, point.y);
+            const alpha = this.getAlpha(rank);
+
+            ctx.strokeStyle = `rgba(${this.COLOR}, ${alpha})`;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+
+            ctx.fillStyle = `rgba(${this.COLOR}, ${Math.min(1, alpha + 0.2)})`;
+            ctx.beginPath();
+            ctx.arc(to.x, to.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+
+    renderMinimap(ctx, map, toMinimap) {
+        if (!this.enabled || this.origin === null) return;
+
+        const from = toMinimap.project(this.origin);
+
+        ctx.save();
+        ctx.strokeStyle = `rgba(${this.COLOR}, 0.8)`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        for (const { point } of this.neighbors) {
+            const to = toMinimap.project(point);
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Strongest line to the nearest neighbor, fading to 0.3 for the farthest
+    getAlpha(rank) {
+        const count = this.neighbors.length;
+        return count > 1 ? 0.9 - 0.6 * (rank / (count - 1)) : 0.9;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+}
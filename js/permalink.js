@@ -0,0 +1,122 @@
+/**
+ * Permalink.js - Shareable deep links stored in the URL hash
+ *
+ * Hash format: #d=sd15&x=-58.4&y=11.32&z=120&q=lions&p=0
+ *   d    - dataset id (only when datasets.json lists several)
+ *   x, y - camera center in original data units
+ *   z    - zoom in screen pixels per data unit
+ *   q    - search query
+ *   p    - selected point id
+ */
+
+class PermalinkManager {
+    constructor() {
+        this.updateInterval = 300;
+        this.updateTimeout = null;
+        this.pendingState = null;
+        this.lastHash = window.location.hash;
+
+        this.onHashChange = null;
+
+        this.init();
+    }
+
+    init() {
+        // Manual edits to the URL (or back/forward) restore the encoded view
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash === this.lastHash) return;
+
+            this.lastHash = window.location.hash;
+            if (this.onHashChange) {
+                this.onHashChange(this.read());
+            }
+        });
+    }
+
+    read() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const state = {};
+
+        const x = parseFloat(params.get('x'));
+        const y = parseFloat(params.get('y'));
+        const zoom = parseFloat(params.get('z'));
+        const pointId = parseInt(params.get('p'), 10);
+
+        if (params.has('d')) {
+            state.dataset = params.get('d');
+        }
+
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+            state.x = x;
+            state.y = y;
+        }
+
+        if (Number.isFinite(zoom) && zoom > 0) {
+            state.zoom = zoom;
+        }
+
+        if (params.has('q')) {
+            state.query = params.get('q');
+        }
+
+        if (Number.isFinite(pointId)) {
+            state.pointId = pointId;
+        }
+
+        return state;
+    }
+
+    format(state) {
+        const params = new URLSearchParams();
+
+        if (state.dataset) {
+            params.set('d', state.dataset);
+        }
+
+        if (state.x !== undefined && state.y !== undefined) {
+            params.set('x', this.round(state.x, 2));
+            params.set('y', this.round(state.y, 2));
+        }
+
+        if (state.zoom !== undefined) {
+            params.set('z', this.round(state.zoom, 3));
+        }
+
+        if (state.query) {
+            params.set('q', state.query);
+        }
+
+        if (state.pointId !== undefined && state.pointId !== null) {
+            params.set('p', state.pointId);
+        }
+
+        const query = params.toString();
+        return query ? '#' + query : '';
+    }
+
+    // Throttled: writes at most once per updateInterval, always ending with the latest state
+    update(state) {
+        this.pendingState = state;
+
+        if (this.updateTimeout) return;
+
+        this.updateTimeout = setTimeout(() => {
+            this.updateTimeout = null;
+            this.write(this.pendingState);
+        }, this.updateInterval);
+    }
+
+    write(state) {
+        const hash = this.format(state);
+        if (hash === this.lastHash) return;
+
+        this.lastHash = hash;
+
+        // replaceState keeps panning from flooding the browser history
+        history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+    }
+
+    round(value, digits) {
+        return String(Number(value.toFixed(digits)));
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * Query.js - Boolean and fielded query language for prompt search
+ *
+ * Syntax:
+ *   cat dog            both terms (implicit AND)
+ *   cat OR dog         either term
+ *   cat NOT cartoon    exclusion (also: cat -cartoon)
+ *   (cat OR dog) AND hat
+ *   "red fox"          exact phrase
+ *   /fox(es)?$/        regular expression (case-insensitive unless flags are given)
+ *   id:100-200         id range (also id:42, id:>100, id:<=50)
+ *   len:>50            prompt length in characters (same forms as id:)
+ *   region:            points inside the current viewport
+ *
+ * Any other word: prefix (style:anime) is an ordinary search term.
+ */
+
+class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} at character ${position + 1}`);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+class QueryParser {
+    constructor() {
+        this.RANGE_FIELDS = ['id', 'len'];
+        this.FIELDS = [...this.RANGE_FIELDS, 'region'];
+        this.KEYWORDS = ['AND', 'OR', 'NOT'];
+    }
+
+    // Returns the root AST node, or null for an empty query
+    parse(input) {
+        this.tokens = this.tokenize(input);
+        this.index = 0;
+        this.inputLength = input.length;
+
+        if (this.tokens.length === 0) return null;
+
+        const node = this.parseOr();
+
+        if (this.index < this.tokens.length) {
+            const token = this.tokens[this.index];
+            throw new QuerySyntaxError(`Unexpected "${token.text}"`, token.position);
+        }
+
+        return node;
+    }
+
+    tokenize(input) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            const c = input[i];
+
+            if (/\s/.test(c)) {
+                i++;
+            } else if (c === '(' || c === ')') {
+                tokens.push({ type: c, text: c, position: i });
+                i++;
+            } else if (c === '"') {
+                const end = input.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new QuerySyntaxError('Unterminated phrase', i);
+                }
+
+                const phrase = input.slice(i + 1, end).trim();
+                if (!phrase) {
+                    throw new QuerySyntaxError('Empty phrase', i);
+                }
+
+                tokens.push({ type: 'phrase', text: input.slice(i, end + 1), value: phrase.toLowerCase(), position: i });
+                i = end + 1;
+            } else if (c === '/') {
+                i = this.readRegex(input, i, tokens);
+            } else if (c === '-') {
+                // Leading minus is shorthand for NOT, so it must be attached to what it excludes
+                if (i + 1 >= input.length || /[\s)]/.test(input[i + 1])) {
+                    throw new QuerySyntaxError('Expected a search term right after "-"', i);
+                }
+                tokens.push({ type: 'NOT', text: '-', position: i });
+                i++;
+            } else {
+                const start = i;
+                while (i < input.length && !/[\s()"]/.test(input[i])) {
+                    i++;
+                }
+                tokens.push(this.wordToken(input.slice(start, i), start));
+            }
+        }
+
+        return tokens;
+    }
+
+    readRegex(input, start, tokens) {
+        let i = start + 1;
+        let source = '';
+
+        while (i < input.length && input[i] !== '/') {
+            // Keep escapes intact, including escaped slashes
+            if (input[i] === '\\' && i + 1 < input.length) {
+                source += input[i] + input[i + 1];
+                i += 2;
+            } else {
+                source += input[i];
+                i++;
+            }
+        }
+
+        if (i >= input.length) {
+            throw new QuerySyntaxError('Unterminated regular expression', start);
+        }
+        if (!source) {
+            throw new QuerySyntaxError('Empty regular expression', start);
+        }
+
+        i++;
+        let flags = '';
+        while (i < input.length && /[a-z]/i.test(input[i])) {
+            flags += input[i];
+            i++;
+        }
+
+        // Global and sticky matching keep lastIndex between tests, which breaks repeated tests
+        flags = flags ? flags.replace(/[gy]/g, '') : 'i';
+
+        let regex;
+        try {
+            regex = new RegExp(source, flags);
+        } catch (error) {
+            throw new QuerySyntaxError(error.message, start);
+        }
+
+        tokens.push({ type: 'regex', text: input.slice(start, i), regex, position: start });
+        return i;
+    }
+
+    wordToken(word, position) {
+        if (this.KEYWORDS.includes(word)) {
+            return { type: word, text: word, position };
+        }
+
+        const field = word.match(/^([a-z]+):(.*)$/i);
+        if (field && this.FIELDS.includes(field[1].toLowerCase())) {
+            return { type: 'field', text: word, field: field[1].toLowerCase(), value: field[2], position };
+        }
+
+        return { type: 'term', text: word, value: word.toLowerCase(), position };
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    // or := and ('OR' and)*
+    parseOr() {
+        const children = [this.parseAnd()];
+
+        while (this.peek() && this.peek().type === 'OR') {
+            this.index++;
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    // and := not (['AND'] not)*
+    parseAnd() {
+        const children = [this.parseNot()];
+
+        while (this.peek() && this.peek().type !== 'OR' && this.peek().type !== ')') {
+            if (this.peek().type === 'AND') {
+                this.index++;
+            }
+            children.push(this.parseNot());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    // not := 'NOT' not | primary
+    parseNot() {
+        const token = this.peek();
+
+        if (token && token.type === 'NOT') {
+            this.index++;
+
+            const operand = this.peek();
+            if (!operand || operand.type === ')' || operand.type === 'AND' || operand.type === 'OR') {
+                throw new QuerySyntaxError(`Expected a search term after "${token.text}"`, token.position);
+            }
+            return { type: 'not', child: this.parseNot() };
+        }
+
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (!token) {
+            throw new QuerySyntaxError('Expected a search term', this.inputLength);
+        }
+
+        this.index++;
+
+        switch (token.type) {
+            case '(': {
+                const node = this.parseOr();
+                const closing = this.peek();
+                if (!closing || closing.type !== ')') {
+                    throw new QuerySyntaxError('Missing ")"', closing ? closing.position : this.inputLength);
+                }
+                this.index++;
+                return node;
+            }
+            case 'term':
+                return { type: 'term', value: token.value };
+            case 'phrase':
+                return { type: 'phrase', value: token.value };
+            case 'regex':
+                return { type: 'regex', regex: token.regex };
+            case 'field':
+                return this.parseField(token);
+            default:
+                throw new QuerySyntaxError(`Unexpected "${token.text}"`, token.position);
+        }
+    }
+
+    parseField(token) {
+        const { field, value, position } = token;
+
+        if (field === 'region') {
+            if (value && value.toLowerCase() !== 'view') {
+                throw new QuerySyntaxError('region: takes no value (it means the current viewport)', position);
+            }
+            return { type: 'region' };
+        }
+
+        const range = this.parseRange(value);
+        if (!range) {
+            throw new QuerySyntaxError(`Invalid ${field}: value "${value}" (use 10, 10-20, >10 or <=10)`, position);
+        }
+
+        return { type: 'range', field, min: range.min, max: range.max };
+    }
+
+    // Ranges are integer and inclusive on both ends
+    parseRange(value) {
+        let match = value.match(/^(\d+)-(\d+)$/);
+        if (match) {
+            const a = parseInt(match[1], 10);
+            const b = parseInt(match[2], 10);
+            return { min: Math.min(a, b), max: Math.max(a, b) };
+        }
+
+        match = value.match(/^(>=|<=|>|<)(\d+)$/);
+        if (match) {
+            const n = parseInt(match[2], 10);
+            switch (match[1]) {
+                case '>': return { min: n + 1, max: Infinity };
+                case '>=': return { min: n, max: Infinity };
+                case '<': return { min: -Infinity, max: n - 1 };
+                case '<=': return { min: -Infinity, max: n };
+            }
+        }
+
+        match = value.match(/^(\d+)$/);
+        if (match) {
+            const n = parseInt(match[1], 10);
+            return { min: n, max: n };
+        }
+
+        return null;
+    }
+
+    // Global regexes for every positive text term, used for highlighting.
+    // expandTerm(value) maps a term to the whole words it matched; without it terms highlight as substrings.
+    getHighlightPatterns(node, expandTerm = null, negated = false, patterns = []) {
+        if (!node) return patterns;
+
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                node.children.forEach(child => this.getHighlightPatterns(child, expandTerm, negated, patterns));
+                break;
+            case 'not':
+                this.getHighlightPatterns(node.child, expandTerm, !negated, patterns);
+                break;
+            case 'term':
+                if (!negated) {
+                    patterns.push(expandTerm ? this.wordsPattern(expandTerm(node.value)) : this.substringPattern(node.value));
+                }
+                break;
+            case 'phrase':
+                if (!negated) {
+                    patterns.push(this.substringPattern(node.value));
+                }
+                break;
+            case 'regex':
+                if (!negated) {
+                    patterns.push(new RegExp(node.regex.source, node.regex.flags + 'g'));
+                }
+                break;
+        }
+
+        return patterns;
+    }
+
+    substringPattern(text) {
+        return new RegExp(this.escapeRegex(text), 'gi');
+    }
+
+    wordsPattern(words) {
+        if (words.length === 0) return /(?!)/g;
+
+        const alternatives = words.map(word => this.escapeRegex(word)).join('|');
+        return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+    }
+
+    escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
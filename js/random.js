@@ -0,0 +1,17 @@
+/**
+ * Random.js - Seeded pseudo-random numbers
+ *
+ * Loaded by the clustering worker and by the scripts/ tests, so the same seed
+ * always gives the same clusters and the same test data.
+ */
+
+// Deterministic PRNG (mulberry32): values in [0, 1)
+function createRandom(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
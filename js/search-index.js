@@ -0,0 +1,313 @@
+/**
+ * Search-index.js - Inverted token index with prefix/typo expansion and BM25 ranking
+ */
+
+class SearchIndex {
+    constructor() {
+        // BM25 parameters
+        this.k1 = 1.2;
+        this.b = 0.75;
+
+        // Query term expansion
+        this.maxExpansions = 50;
+        this.PREFIX_WEIGHT = 0.7;
+        this.FUZZY_WEIGHTS = [1, 0.5, 0.3]; // Indexed by edit distance
+
+        this.docs = [];
+        this.docLengths = [];
+        this.avgDocLength = 0;
+        this.postings = new Map(); // term -> Map(docIndex -> term frequency)
+        this.vocabulary = []; // Sorted terms, for prefix lookup
+        this.expansionCache = new Map();
+        this.nodeCache = new WeakMap(); // AST node -> results, for per-document tests
+    }
+
+    build(docs) {
+        this.docs = docs;
+        this.docLengths = new Array(docs.length);
+        this.postings = new Map();
+        this.expansionCache = new Map();
+        this.nodeCache = new WeakMap();
+
+        let totalLength = 0;
+
+        docs.forEach((doc, docIndex) => {
+            const tokens = this.tokenize(doc.prompt);
+            this.docLengths[docIndex] = tokens.length;
+            totalLength += tokens.length;
+
+            for (const token of tokens) {
+                let posting = this.postings.get(token);
+                if (!posting) {
+                    posting = new Map();
+                    this.postings.set(token, posting);
+                }
+                posting.set(docIndex, (posting.get(docIndex) || 0) + 1);
+            }
+        });
+
+        this.avgDocLength = docs.length > 0 ? totalLength / docs.length : 0;
+        this.vocabulary = [...this.postings.keys()].sort();
+    }
+
+    tokenize(text) {
+        return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    // Index terms a query term stands for: exact match, prefix completions,
+    // and (only when the term itself is unknown) close misspellings
+    expandTerm(term) {
+        if (this.expansionCache.has(term)) {
+            return this.expansionCache.get(term);
+        }
+
+        const expansions = [];
+        const exact = this.postings.has(term);
+
+        if (exact) {
+            expansions.push({ term, weight: 1 });
+        }
+
+        for (const candidate of this.getPrefixMatches(term)) {
+            if (candidate !== term && expansions.length < this.maxExpansions) {
+                expansions.push({ term: candidate, weight: this.PREFIX_WEIGHT });
+            }
+        }
+
+        if (!exact) {
+            const maxDistance = this.getMaxEditDistance(term);
+            const seen = new Set(expansions.map(e => e.term));
+
+            for (const candidate of this.vocabulary) {
+                if (expansions.length >= this.maxExpansions) break;
+                if (seen.has(candidate) || Math.abs(candidate.length - term.length) > maxDistance) continue;
+
+                const distance = this.editDistance(term, candidate, maxDistance);
+                if (distance <= maxDistance) {
+                    expansions.push({ term: candidate, weight: this.FUZZY_WEIGHTS[distance] });
+                }
+            }
+        }
+
+        this.expansionCache.set(term, expansions);
+        return expansions;
+    }
+
+    // Short terms get no typo tolerance; longer ones allow more edits
+    getMaxEditDistance(term) {
+        if (term.length < 4) return 0;
+        if (term.length < 8) return 1;
+        return 2;
+    }
+
+    getPrefixMatches(prefix) {
+        if (prefix.length < 2) return [];
+
+        // Binary search for the first vocabulary entry >= prefix
+        let lo = 0;
+        let hi = this.vocabulary.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.vocabulary[mid] < prefix) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+
+        const matches = [];
+        for (let i = lo; i < this.vocabulary.length && matches.length < this.maxExpansions; i++) {
+            if (!this.vocabulary[i].startsWith(prefix)) break;
+            matches.push(this.vocabulary[i]);
+        }
+
+        return matches;
+    }
+
+    // Levenshtein distance, giving up early once it must exceed maxDistance
+    editDistance(a, b, maxDistance) {
+        let previous = new Array(b.length + 1);
+        let current = new Array(b.length + 1);
+
+        for (let j = 0; j <= b.length; j++) {
+            previous[j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            let rowMin = current[0];
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+
+            if (rowMin > maxDistance) return maxDistance + 1;
+
+            [previous, current] = [current, previous];
+        }
+
+        return previous[b.length];
+    }
+
+    idf(term) {
+        const df = this.postings.get(term).size;
+        const n = this.docs.length;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    bm25(term, docIndex, tf) {
+        const lengthNorm = 1 - this.b + this.b * (this.docLengths[docIndex] / this.avgDocLength);
+        return this.idf(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+    }
+
+    // docIndex -> score for one query term; a doc counts its best-scoring expansion
+    scoreTerm(term) {
+        const scores = new Map();
+        const tokens = this.tokenize(term);
+
+        // Terms like "sci-fi" are scored as their parts
+        if (tokens.length !== 1) {
+            return tokens.length === 0 ? scores : this.executeAnd(tokens.map(value => ({ type: 'term', value })), {});
+        }
+
+        for (const { term: expanded, weight } of this.expandTerm(tokens[0])) {
+            for (const [docIndex, tf] of this.postings.get(expanded)) {
+                const score = weight * this.bm25(expanded, docIndex, tf);
+                if (score > (scores.get(docIndex) || 0)) {
+                    scores.set(docIndex, score);
+                }
+            }
+        }
+
+        return scores;
+    }
+
+    // Exact phrase: intersect the postings of its tokens, then verify the substring
+    scorePhrase(phrase) {
+        const scores = new Map();
+        const tokens = this.tokenize(phrase);
+        if (tokens.length === 0 || !tokens.every(t => this.postings.has(t))) return scores;
+
+        const [rarest, ...rest] = [...tokens].sort((a, b) => this.postings.get(a).size - this.postings.get(b).size);
+
+        for (const docIndex of this.postings.get(rarest).keys()) {
+            if (!rest.every(t => this.postings.get(t).has(docIndex))) continue;
+            if (!this.docs[docIndex].prompt.toLowerCase().includes(phrase)) continue;
+
+            let score = 0;
+            for (const token of tokens) {
+                score += this.bm25(token, docIndex, this.postings.get(token).get(docIndex));
+            }
+            scores.set(docIndex, score);
+        }
+
+        return scores;
+    }
+
+    // Evaluate a QueryParser AST. Returns docIndex -> relevance score for every matching doc.
+    // context.region: {minX, minY, maxX, maxY} in data units, or null to match everything
+    execute(node, context) {
+        switch (node.type) {
+            case 'term':
+                return this.scoreTerm(node.value);
+            case 'phrase':
+                return this.scorePhrase(node.value);
+            case 'or': {
+                const scores = new Map();
+                for (const child of node.children) {
+                    for (const [docIndex, score] of this.execute(child, context)) {
+                        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+                    }
+                }
+                return scores;
+            }
+            case 'and':
+                return this.executeAnd(node.children, context);
+            default:
+                return this.executeAnd([node], context);
+        }
+    }
+
+    // Index-backed children are intersected; the rest are applied as filters over the survivors
+    executeAnd(children, context) {
+        const indexed = children.filter(child => this.isIndexed(child));
+        const filters = children.filter(child => !this.isIndexed(child));
+
+        let scores;
+
+        if (indexed.length === 0) {
+            scores = new Map(this.docs.map((doc, docIndex) => [docIndex, 0]));
+        } else {
+            const results = indexed.map(child => this.execute(child, context)).sort((a, b) => a.size - b.size);
+            scores = new Map(results[0]);
+
+            for (const other of results.slice(1)) {
+                for (const [docIndex, score] of scores) {
+                    if (other.has(docIndex)) {
+                        scores.set(docIndex, score + other.get(docIndex));
+                    } else {
+                        scores.delete(docIndex);
+                    }
+                }
+            }
+        }
+
+        for (const filter of filters) {
+            if (filter.type === 'not' && this.isIndexed(filter.child)) {
+                for (const docIndex of this.execute(filter.child, context).keys()) {
+                    scores.delete(docIndex);
+                }
+                continue;
+            }
+
+            for (const docIndex of scores.keys()) {
+                if (!this.test(filter, docIndex, context)) {
+                    scores.delete(docIndex);
+                }
+            }
+        }
+
+        return scores;
+    }
+
+    isIndexed(node) {
+        return node.type === 'term' || node.type === 'phrase' || node.type === 'and' || node.type === 'or';
+    }
+
+    // Per-document test for nodes the index can't answer directly
+    test(node, docIndex, context) {
+        const doc = this.docs[docIndex];
+
+        switch (node.type) {
+            case 'not':
+                return !this.test(node.child, docIndex, context);
+            case 'regex':
+                return node.regex.test(doc.prompt);
+            case 'range': {
+                const value = node.field === 'id' ? doc.id : doc.prompt.length;
+                return value >= node.min && value <= node.max;
+            }
+            case 'region': {
+                const region = context.region;
+                return !region || (
+                    doc.x >= region.minX && doc.x <= region.maxX &&
+                    doc.y >= region.minY && doc.y <= region.maxY
+                );
+            }
+            default:
+                if (!this.nodeCache.has(node)) {
+                    this.nodeCache.set(node, this.execute(node, context));
+                }
+                return this.nodeCache.get(node).has(docIndex);
+        }
+    }
+
+    // Index terms a query term matched, for highlighting
+    getMatchedTerms(term) {
+        const tokens = this.tokenize(term);
+        if (tokens.length !== 1) return tokens;
+        return this.expandTerm(tokens[0]).map(e => e.term);
+    }
+}
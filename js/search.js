@@ -7,13 +7,29 @@ class SearchManager {
         this.searchInput = document.getElementById('search-input');
         this.searchClear = document.getElementById('search-clear');
         this.searchResults = document.getElementById('search-results');
+        this.searchError = document.getElementById('search-error');
+        this.searchNav = document.getElementById('search-nav');
+        this.searchCounter = document.getElementById('search-counter');
+        this.prevBtn = document.getElementById('search-prev');
+        this.nextBtn = document.getElementById('search-next');
+        this.fitBtn = document.getElementById('search-fit');
 
         this.allPoints = [];
         this.searchTimeout = null;
         this.maxResults = 100;
+        this.activeIndex = -1; // Result option highlighted with the arrow keys
+        this.matchIds = []; // Every match of the current query, most relevant first
+        this.matchIndex = -1; // Match last stepped to with next/previous
+
+        this.parser = new QueryParser();
+        this.index = new SearchIndex();
+        this.highlightPatterns = [];
 
         this.onResultClick = null;
         this.onSearchChange = null;
+        this.onMatchStep = null; // Called with a point id when next/previous reaches a match
+        this.onFitResults = null;
+        this.getRegion = null; // Returns the viewport {minX, minY, maxX, maxY} in data units, for region:
 
         this.init();
     }
@@ -38,6 +54,15 @@ class SearchManager {
             this.clearSearch();
         });
 
+        // Match navigation
+        this.prevBtn.addEventListener('click', () => this.stepMatch(-1));
+        this.nextBtn.addEventListener('click', () => this.stepMatch(1));
+        this.fitBtn.addEventListener('click', () => {
+            if (this.onFitResults) {
+                this.onFitResults();
+            }
+        });
+
         // Close results when clicking outside
         document.addEventListener('click', (e) => {
             if (!this.searchInput.contains(e.target) && !this.searchResults.contains(e.target)) {
@@ -45,54 +70,95 @@ class SearchManager {
             }
         });
 
-        // Focus on results with keyboard
+        // Arrows move through the results while focus stays in the input (aria-activedescendant);
+        // Enter opens the highlighted result, or the first one
         this.searchInput.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.clearSearch();
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                const options = this.getOptions();
+                if (options.length === 0) return;
+
+                e.preventDefault();
+                this.searchResults.classList.add('show');
+                this.searchInput.setAttribute('aria-expanded', 'true');
+
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const start = this.activeIndex === -1 && step < 0 ? options.length : this.activeIndex;
+                this.setActive((start + step + options.length) % options.length);
             } else if (e.key === 'Enter') {
-                const firstResult = this.searchResults.querySelector('.search-result-item');
-                if (firstResult) {
-                    firstResult.click();
+                const options = this.getOptions();
+                const result = options[this.activeIndex] || options[0];
+                if (result) {
+                    result.click();
                 }
             }
         });
     }
 
+    getOptions() {
+        return [...this.searchResults.querySelectorAll('[role="option"]')];
+    }
+
+    setActive(index) {
+        const options = this.getOptions();
+        this.activeIndex = index;
+
+        options.forEach((option, i) => {
+            option.classList.toggle('active', i === index);
+            option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
+
+        if (options[index]) {
+            this.searchInput.setAttribute('aria-activedescendant', options[index].id);
+            options[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
     setData(points) {
         this.allPoints = points;
+        this.index.build(points);
     }
 
-    performSearch(query) {
+    performSearch(query, showResults = true) {
         if (!query) {
+            this.hideError();
             this.hideResults();
+            this.setMatches([]);
             if (this.onSearchChange) {
                 this.onSearchChange(null); // Clear filter
             }
             return;
         }
 
-        const lowerQuery = query.toLowerCase();
-        const results = [];
+        let ast;
+        let results;
+        try {
+            ({ ast, results } = this.evaluate(query));
+        } catch (error) {
+            if (!(error instanceof QuerySyntaxError)) throw error;
 
-        // Search through all points
-        for (const point of this.allPoints) {
-            const lowerPrompt = point.prompt.toLowerCase();
-            if (lowerPrompt.includes(lowerQuery)) {
-                results.push({
-                    point,
-                    index: lowerPrompt.indexOf(lowerQuery)
-                });
-            }
+            // Keep the previous filter until the query is valid again
+            this.showError(error.message);
+            this.hideResults();
+            return;
         }
 
-        // Sort by relevance (earlier match = more relevant)
-        results.sort((a, b) => a.index - b.index);
+        this.hideError();
+
+        this.highlightPatterns = this.parser.getHighlightPatterns(ast, term => this.index.getMatchedTerms(term));
+
+        this.setMatches(results.map(r => r.point.id));
 
         // Limit results
         const limitedResults = results.slice(0, this.maxResults);
 
         // Display results
-        this.displayResults(limitedResults, query);
+        if (showResults) {
+            this.displayResults(limitedResults, query);
+        }
 
         // Notify filter change
         if (this.onSearchChange) {
@@ -101,77 +167,189 @@ class SearchManager {
         }
     }
 
+    // Parse a query and run it against the token index: {ast, results: [{point, score}]},
+    // most relevant first. Throws QuerySyntaxError for a malformed query.
+    evaluate(query) {
+        const ast = this.parser.parse(query);
+        const context = { region: this.getRegion ? this.getRegion() : null };
+
+        const results = [];
+        for (const [docIndex, score] of this.index.execute(ast, context)) {
+            results.push({ point: this.allPoints[docIndex], score });
+        }
+
+        // Sort by BM25 relevance, then by id for filter-only queries
+        results.sort((a, b) => b.score - a.score || a.point.id - b.point.id);
+
+        return { ast, results };
+    }
+
     displayResults(results, query) {
         if (results.length === 0) {
             this.searchResults.innerHTML = `
-                <div class="search-no-results">
+                <div class="search-no-results" role="presentation">
                     No results found for "${this.escapeHtml(query)}"
                 </div>
             `;
-            this.searchResults.classList.add('show');
+            this.showResults();
             return;
         }
 
-        let html = '';
-
-        for (const { point } of results) {
-            const highlightedPrompt = this.highlightText(point.prompt, query);
-
-            html += `
-                <div class="search-result-item" data-point-id="${point.id}">
-                    <div class="search-result-prompt">${highlightedPrompt}</div>
-                    <div class="search-result-meta">
-                        ID: ${point.id} · Position: (${point.x.toFixed(2)}, ${point.y.toFixed(2)})
-                    </div>
+        // Ids come from the data, so they're set as properties rather than markup
+        this.searchResults.replaceChildren(...results.map(({ point, score }) => {
+            const highlightedPrompt = this.highlightText(point.prompt, this.highlightPatterns);
+            const scoreText = score > 0 ? ` · Score: ${score.toFixed(2)}` : '';
+
+            const item = document.createElement('div');
+            item.className = 'search-result-item';
+            item.id = `search-result-${point.id}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.dataset.pointId = point.id;
+            item.innerHTML = `
+                <div class="search-result-prompt">${highlightedPrompt}</div>
+                <div class="search-result-meta">
+                    ID: ${point.id} · Position: (${point.x.toFixed(2)}, ${point.y.toFixed(2)})${scoreText}
                 </div>
             `;
-        }
+
+            item.addEventListener('click', () => {
+                if (this.onResultClick) {
+                    this.onResultClick(point.id);
+                }
+            });
+
+            return item;
+        }));
 
         if (results.length === this.maxResults) {
-            html += `
-                <div class="search-result-item" style="text-align: center; color: #666; cursor: default;">
+            this.searchResults.insertAdjacentHTML('beforeend', `
+                <div class="search-result-item" role="presentation" style="text-align: center; color: #666; cursor: default;">
                     Showing first ${this.maxResults} results
                 </div>
-            `;
+            `);
         }
 
-        this.searchResults.innerHTML = html;
+        this.showResults();
+    }
+
+    // A new list starts with nothing highlighted
+    showResults() {
+        this.setActive(-1);
         this.searchResults.classList.add('show');
+        this.searchInput.setAttribute('aria-expanded', 'true');
+    }
 
-        // Add click handlers
-        const items = this.searchResults.querySelectorAll('.search-result-item[data-point-id]');
-        items.forEach(item => {
-            item.addEventListener('click', () => {
-                const pointId = parseInt(item.dataset.pointId);
-                if (this.onResultClick) {
-                    this.onResultClick(pointId);
-                }
-            });
-        });
+    // A new set of matches starts before the first one
+    setMatches(ids) {
+        this.matchIds = ids;
+        this.matchIndex = -1;
+        this.updateCounter();
+    }
+
+    // Move to the next (1) or previous (-1) match in relevance order, wrapping at either end
+    stepMatch(direction) {
+        const count = this.matchIds.length;
+        if (count === 0) return;
+
+        const start = this.matchIndex === -1 && direction < 0 ? count : this.matchIndex;
+        this.matchIndex = (start + direction + count) % count;
+        this.updateCounter();
+
+        if (this.onMatchStep) {
+            this.onMatchStep(this.matchIds[this.matchIndex]);
+        }
+    }
+
+    // Point the counter at a match without stepping to it (the lightbox moved there)
+    setMatchIndex(index) {
+        this.matchIndex = index;
+        this.updateCounter();
+    }
+
+    hasMatches() {
+        return this.matchIds.length > 0;
+    }
+
+    updateCounter() {
+        const count = this.matchIds.length;
+        this.searchNav.hidden = count === 0;
+
+        const position = this.matchIndex === -1 ? '–' : (this.matchIndex + 1).toLocaleString();
+        this.searchCounter.textContent = `${position} / ${count.toLocaleString()}`;
     }
 
     hideResults() {
         this.searchResults.classList.remove('show');
+        this.searchInput.setAttribute('aria-expanded', 'false');
+        this.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    showError(message) {
+        this.searchError.textContent = message;
+        this.searchError.classList.add('show');
+    }
+
+    hideError() {
+        this.searchError.classList.remove('show');
     }
 
     clearSearch() {
         this.searchInput.value = '';
         this.searchClear.style.display = 'none';
+        this.hideError();
         this.hideResults();
+        this.setMatches([]);
 
         if (this.onSearchChange) {
             this.onSearchChange(null); // Clear filter
         }
     }
 
-    highlightText(text, query) {
-        if (!query) return this.escapeHtml(text);
+    // Sorted, merged [start, end) ranges matched by any of the patterns
+    getMatchRanges(text, patterns) {
+        const ranges = [];
+
+        for (const pattern of patterns) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+
+        ranges.sort((a, b) => a[0] - b[0]);
 
-        const escapedText = this.escapeHtml(text);
-        const escapedQuery = this.escapeHtml(query);
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+        }
+
+        return merged;
+    }
+
+    highlightText(text, patterns) {
+        if (!patterns || patterns.length === 0) return this.escapeHtml(text);
+
+        let html = '';
+        let position = 0;
+
+        for (const [start, end] of this.getMatchRanges(text, patterns)) {
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<span class="search-result-highlight">${this.escapeHtml(text.slice(start, end))}</span>`;
+            position = end;
+        }
 
-        const regex = new RegExp(`(${this.escapeRegex(escapedQuery)})`, 'gi');
-        return escapedText.replace(regex, '<span class="search-result-highlight">$1</span>');
+        return html + this.escapeHtml(text.slice(position));
     }
 
     escapeHtml(text) {
@@ -180,8 +358,12 @@ class SearchManager {
         return div.innerHTML;
     }
 
-    escapeRegex(text) {
-        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Set the query programmatically (e.g. from a permalink) without opening the dropdown
+    setQuery(query) {
+        clearTimeout(this.searchTimeout);
+        this.searchInput.value = query;
+        this.searchClear.style.display = query ? 'block' : 'none';
+        this.performSearch(query.trim(), false);
     }
 
     getSearchQuery() {
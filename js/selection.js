@@ -0,0 +1,154 @@
+/**
+ * Selection.js - Region selection summary and export
+ */
+
+class SelectionManager {
+    constructor() {
+        this.summary = document.getElementById('selection-summary');
+        this.countEl = document.getElementById('selection-count');
+        this.boundsEl = document.getElementById('selection-bounds');
+        this.exportButtons = document.querySelectorAll('[data-export-format]');
+        this.clearBtn = document.getElementById('selection-clear');
+
+        this.pointsById = new Map();
+        this.selectedPoints = [];
+        this.name = null; // e.g. "Cluster 3" when the selection came from a cluster
+
+        this.onClear = null;
+
+        this.init();
+    }
+
+    init() {
+        this.exportButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportSelection(button.dataset.exportFormat);
+            });
+        });
+
+        this.clearBtn.addEventListener('click', () => {
+            if (this.onClear) {
+                this.onClear();
+            }
+        });
+    }
+
+    // Points in original data units, as loaded from data.json
+    setData(points) {
+        this.pointsById = new Map(points.map(p => [p.id, p]));
+        this.setSelection(null);
+    }
+
+    setSelection(ids, name = null) {
+        this.name = name;
+        this.selectedPoints = ids ? [...ids].map(id => this.pointsById.get(id)).filter(Boolean) : [];
+        this.selectedPoints.sort((a, b) => a.id - b.id);
+
+        if (this.selectedPoints.length === 0) {
+            this.summary.classList.remove('show');
+            return;
+        }
+
+        const bounds = this.getBounds(this.selectedPoints);
+
+        const count = `${this.selectedPoints.length.toLocaleString()} selected`;
+        this.countEl.textContent = this.name ? `${this.name} · ${count}` : count;
+        this.boundsEl.textContent =
+            `x ${bounds.minX.toFixed(2)} to ${bounds.maxX.toFixed(2)} · ` +
+            `y ${bounds.minY.toFixed(2)} to ${bounds.maxY.toFixed(2)}`;
+
+        this.summary.classList.add('show');
+    }
+
+    getBounds(points) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        for (const p of points) {
+            bounds.minX = Math.min(bounds.minX, p.x);
+            bounds.minY = Math.min(bounds.minY, p.y);
+            bounds.maxX = Math.max(bounds.maxX, p.x);
+            bounds.maxY = Math.max(bounds.maxY, p.y);
+        }
+
+        return bounds;
+    }
+
+    exportSelection(format) {
+        if (this.selectedPoints.length === 0) return;
+
+        const basename = this.name ? this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'selection';
+
+        const exporters = {
+            json: () => ({
+                content: this.toJSON(this.selectedPoints),
+                type: 'application/json',
+                filename: `${basename}.json`
+            }),
+            csv: () => ({
+                content: this.toCSV(this.selectedPoints),
+                type: 'text/csv',
+                filename: `${basename}.csv`
+            }),
+            txt: () => ({
+                content: this.toText(this.selectedPoints),
+                type: 'text/plain',
+                filename: `${basename}.txt`
+            })
+        };
+
+        const exporter = exporters[format];
+        if (!exporter) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const { content, type, filename } = exporter();
+        this.download(content, type, filename);
+    }
+
+    toJSON(points) {
+        const data = {
+            count: points.length,
+            bounds: this.getBounds(points),
+            points: points.map(({ id, x, y, prompt }) => ({ id, x, y, prompt }))
+        };
+
+        return JSON.stringify(data, null, 2);
+    }
+
+    toCSV(points) {
+        const rows = ['id,x,y,prompt'];
+
+        for (const p of points) {
+            rows.push([p.id, p.x, p.y, this.escapeCsv(p.prompt)].join(','));
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    // prompts.txt-style: one prompt per line, prefixed with its id
+    toText(points) {
+        return points.map(p => `${p.id}\t${p.prompt.replace(/[\r\n]+/g, ' ')}`).join('\n') + '\n';
+    }
+
+    escapeCsv(value) {
+        const text = String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    download(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
@@ -0,0 +1,356 @@
+/**
+ * Tours.js - Record and play back guided tours of camera waypoints
+ *
+ * Tour file (JSON):
+ *   {
+ *     "version": 1, "title": "...", "dataset": "sd15-clip",
+ *     "waypoints": [{
+ *       "x": -58.4, "y": 11.3, "zoom": 120,       // camera, as in the URL hash
+ *       "query": "lions", "pointId": 0,          // optional filter and highlight
+ *       "caption": "...",
+ *       "duration": 2000, "hold": 3000,          // ms moving there, ms staying
+ *       "easing": "easeInOutCubic"
+ *     }]
+ *   }
+ * Load one with ?tour=path/to/tour.json.
+ */
+
+class TourManager {
+    constructor() {
+        // Recording panel
+        this.panel = document.getElementById('tour-panel');
+        this.captionInput = document.getElementById('tour-caption');
+        this.durationInput = document.getElementById('tour-duration');
+        this.holdInput = document.getElementById('tour-hold');
+        this.easingSelect = document.getElementById('tour-easing');
+        this.addBtn = document.getElementById('tour-add');
+        this.listEl = document.getElementById('tour-waypoints');
+        this.playBtn = document.getElementById('tour-play');
+        this.saveBtn = document.getElementById('tour-save');
+        this.loadBtn = document.getElementById('tour-load');
+        this.loadInput = document.getElementById('tour-load-file');
+        this.clearBtn = document.getElementById('tour-clear');
+        this.statusEl = document.getElementById('tour-status');
+
+        // Player
+        this.player = document.getElementById('tour-player');
+        this.captionEl = document.getElementById('tour-caption-text');
+        this.prevBtn = document.getElementById('tour-prev');
+        this.toggleBtn = document.getElementById('tour-toggle');
+        this.nextBtn = document.getElementById('tour-next');
+        this.progressEl = document.getElementById('tour-progress');
+        this.stopBtn = document.getElementById('tour-stop');
+
+        this.FORMAT_VERSION = 1;
+        this.DEFAULTS = { duration: 2000, hold: 3000, easing: 'easeInOutCubic' };
+
+        this.enabled = false;
+        this.easings = [this.DEFAULTS.easing];
+        this.datasetId = null;
+        this.tour = { title: '', dataset: null, waypoints: [] };
+
+        this.index = -1; // Waypoint on screen during playback, -1 when stopped
+        this.playing = false;
+        this.timer = null;
+
+        this.getWaypoint = null; // () => current view {x, y, zoom, query, pointId}
+        this.onWaypoint = null; // (waypoint, {duration, easing}) move the view there
+        this.onStop = null;
+
+        this.init();
+    }
+
+    init() {
+        this.addBtn.addEventListener('click', () => this.addWaypoint());
+        this.playBtn.addEventListener('click', () => this.play(0));
+        this.saveBtn.addEventListener('click', () => this.save());
+        this.clearBtn.addEventListener('click', () => this.setTour({ waypoints: [] }));
+        this.loadBtn.addEventListener('click', () => this.loadInput.click());
+
+        this.loadInput.addEventListener('change', () => {
+            const file = this.loadInput.files[0];
+            this.loadInput.value = '';
+            if (file) {
+                this.loadFile(file);
+            }
+        });
+
+        this.listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.tour-waypoint');
+            if (!item) return;
+
+            const index = parseInt(item.dataset.index, 10);
+            if (e.target.closest('.tour-waypoint-delete')) {
+                this.tour.waypoints.splice(index, 1);
+                this.renderList();
+            } else {
+                this.play(index, false);
+            }
+        });
+
+        this.prevBtn.addEventListener('click', () => this.step(-1));
+        this.nextBtn.addEventListener('click', () => this.step(1));
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.stopBtn.addEventListener('click', () => this.stop());
+
+        // Space plays/pauses, arrows step, Escape ends the tour
+        document.addEventListener('keydown', (e) => {
+            if (!this.isActive() || e.target.matches('input, textarea, select, button')) return;
+
+            const actions = {
+                ' ': () => this.toggle(),
+                ArrowLeft: () => this.step(-1),
+                ArrowRight: () => this.step(1),
+                Escape: () => this.stop()
+            };
+
+            if (actions[e.key]) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+        });
+
+        this.renderList();
+    }
+
+    setEasings(names) {
+        this.easings = names;
+        this.easingSelect.replaceChildren(...names.map(name => new Option(name, name)));
+        this.easingSelect.value = this.DEFAULTS.easing;
+    }
+
+    setDataset(id) {
+        this.datasetId = id;
+    }
+
+    isActive() {
+        return this.index >= 0;
+    }
+
+    // Recording
+
+    addWaypoint() {
+        const seconds = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) && value >= 0 ? Math.round(value * 1000) : fallback;
+        };
+
+        const waypoint = this.normalizeWaypoint({
+            ...this.getWaypoint(),
+            caption: this.captionInput.value.trim(),
+            duration: seconds(this.durationInput, this.DEFAULTS.duration),
+            hold: seconds(this.holdInput, this.DEFAULTS.hold),
+            easing: this.easingSelect.value
+        });
+
+        this.tour.waypoints.push(waypoint);
+        this.captionInput.value = '';
+        this.renderList();
+        this.setStatus(`Waypoint ${this.tour.waypoints.length} added`);
+    }
+
+    renderList() {
+        const waypoints = this.tour.waypoints;
+        this.playBtn.disabled = waypoints.length === 0;
+        this.saveBtn.disabled = waypoints.length === 0;
+
+        if (waypoints.length === 0) {
+            this.listEl.innerHTML = '<div class="tour-empty">Frame a view and add it as a waypoint</div>';
+            return;
+        }
+
+        this.listEl.innerHTML = waypoints.map((waypoint, i) => `
+            <div class="tour-waypoint" data-index="${i}" title="Play from here">
+                <span class="tour-waypoint-index">${i + 1}</span>
+                <span class="tour-waypoint-caption">${this.escapeHtml(waypoint.caption || (waypoint.query ? `“${waypoint.query}”` : 'No caption'))}</span>
+                <button class="tour-waypoint-delete" title="Remove waypoint">×</button>
+            </div>
+        `).join('');
+    }
+
+    save() {
+        const data = {
+            version: this.FORMAT_VERSION,
+            title: this.tour.title,
+            dataset: this.tour.dataset || this.datasetId,
+            waypoints: this.tour.waypoints
+        };
+
+        const slug = (this.tour.title || 'tour').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tour';
+        this.download(JSON.stringify(data, null, 2), 'application/json', `${slug}.json`);
+    }
+
+    download(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Loading
+
+    async loadUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load tour ${url}: ${response.status} ${response.statusText}`);
+        }
+        this.setTour(await response.json());
+        return this.tour;
+    }
+
+    async loadFile(file) {
+        try {
+            this.setTour(JSON.parse(await file.text()));
+            this.setStatus(`Loaded ${this.tour.waypoints.length} waypoints from ${file.name}`);
+        } catch (error) {
+            this.setStatus(`${file.name}: ${error.message}`, true);
+        }
+    }
+
+    setTour(data) {
+        if (!data || !Array.isArray(data.waypoints)) {
+            throw new Error('Not a tour file (no waypoints)');
+        }
+
+        const waypoints = data.waypoints.map(waypoint => this.normalizeWaypoint(waypoint));
+        if (waypoints.some(waypoint => waypoint === null)) {
+            throw new Error('Every waypoint needs numeric x and y');
+        }
+
+        this.stop();
+        this.tour = {
+            title: typeof data.title === 'string' ? data.title : '',
+            dataset: typeof data.dataset === 'string' ? data.dataset : null,
+            waypoints
+        };
+        this.setStatus('');
+        this.renderList();
+    }
+
+    // A clean waypoint with defaults filled in, or null without a camera position
+    normalizeWaypoint(entry) {
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        if (!entry || !isNumber(entry.x) || !isNumber(entry.y)) return null;
+
+        const waypoint = { x: entry.x, y: entry.y };
+
+        if (isNumber(entry.zoom) && entry.zoom > 0) waypoint.zoom = entry.zoom;
+        if (typeof entry.query === 'string' && entry.query) waypoint.query = entry.query;
+        if (Number.isInteger(entry.pointId)) waypoint.pointId = entry.pointId;
+
+        waypoint.caption = typeof entry.caption === 'string' ? entry.caption : '';
+        waypoint.duration = isNumber(entry.duration) && entry.duration >= 0 ? entry.duration : this.DEFAULTS.duration;
+        waypoint.hold = isNumber(entry.hold) && entry.hold >= 0 ? entry.hold : this.DEFAULTS.hold;
+        waypoint.easing = this.easings.includes(entry.easing) ? entry.easing : this.DEFAULTS.easing;
+
+        return waypoint;
+    }
+
+    // Playback
+
+    play(index = 0, autoplay = true) {
+        if (this.tour.waypoints.length === 0) return;
+
+        this.playing = autoplay;
+        this.player.classList.add('show');
+        this.goTo(index);
+    }
+
+    goTo(index) {
+        const waypoints = this.tour.waypoints;
+        clearTimeout(this.timer);
+
+        this.index = Math.max(0, Math.min(waypoints.length - 1, index));
+        const waypoint = waypoints[this.index];
+
+        if (this.onWaypoint) {
+            this.onWaypoint(waypoint, { duration: waypoint.duration, easing: waypoint.easing });
+        }
+
+        this.captionEl.textContent = waypoint.caption;
+        this.captionEl.hidden = !waypoint.caption;
+        this.progressEl.textContent = `${this.index + 1} / ${waypoints.length}`;
+        this.prevBtn.disabled = this.index === 0;
+        this.nextBtn.disabled = this.index === waypoints.length - 1;
+
+        this.schedule(waypoint.duration + waypoint.hold);
+    }
+
+    // Move on after a delay while playing; the last waypoint stays on screen
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const hasNext = this.index < this.tour.waypoints.length - 1;
+        if (this.playing && hasNext) {
+            this.timer = setTimeout(() => this.goTo(this.index + 1), delay);
+        } else {
+            this.playing = false;
+        }
+
+        this.updateToggle();
+    }
+
+    step(direction) {
+        if (this.isActive()) {
+            this.goTo(this.index + direction);
+        }
+    }
+
+    toggle() {
+        if (!this.isActive()) return;
+
+        if (this.playing) {
+            this.playing = false;
+            this.schedule(0);
+        } else if (this.index === this.tour.waypoints.length - 1) {
+            // Finished: start over
+            this.play(0);
+        } else {
+            this.playing = true;
+            this.schedule(this.tour.waypoints[this.index].hold);
+        }
+    }
+
+    updateToggle() {
+        this.toggleBtn.textContent = this.playing ? '⏸' : '▶';
+        this.toggleBtn.title = this.playing ? 'Pause (Space)' : 'Play (Space)';
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const wasActive = this.isActive();
+        this.index = -1;
+        this.playing = false;
+        this.player.classList.remove('show');
+
+        if (wasActive && this.onStop) {
+            this.onStop();
+        }
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.panel.classList.toggle('show', enabled);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
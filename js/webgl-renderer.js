@@ -0,0 +1,432 @@
+/**
+ * Webgl-renderer.js - WebGL2 backend for drawing dots and thumbnails
+ *
+ * Points are drawn as instanced quads into an offscreen WebGL canvas which the
+ * map then composites onto its 2D canvas, so the heatmap beneath and the
+ * overlays above keep working unchanged. Thumbnails are sampled from texture
+ * atlases filled on demand from the map's thumbnails, one atlas per LOD level.
+ */
+
+class TextureAtlas {
+    constructor(gl, size, cellSize) {
+        this.gl = gl;
+        this.size = size;
+        this.cellSize = cellSize;
+        this.columns = Math.floor(size / cellSize);
+        this.capacity = this.columns * this.columns;
+
+        this.entries = new Map(); // id -> {slot, frame}, least recently used first
+        this.freeSlots = [];
+        for (let slot = this.capacity - 1; slot >= 0; slot--) {
+            this.freeSlots.push(slot);
+        }
+
+        // Images are scaled to the cell size before upload
+        this.scratch = document.createElement('canvas');
+        this.scratch.width = cellSize;
+        this.scratch.height = cellSize;
+        this.scratchCtx = this.scratch.getContext('2d');
+
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA8, size, size);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    // Atlas rect for an uploaded image, marking it used in this frame
+    get(id, frame) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        entry.frame = frame;
+        this.entries.delete(id);
+        this.entries.set(id, entry);
+        return this.getRect(entry.slot);
+    }
+
+    // Upload a thumbnail ({image, sx, sy, sw, sh}), evicting the least recently used
+    // one when full. Returns null when every slot is already in use this frame.
+    add(id, thumbnail, frame) {
+        let slot = this.freeSlots.pop();
+
+        if (slot === undefined) {
+            const [oldestId, oldest] = this.entries.entries().next().value;
+            if (oldest.frame === frame) return null;
+
+            this.entries.delete(oldestId);
+            slot = oldest.slot;
+        }
+
+        const gl = this.gl;
+        this.scratchCtx.clearRect(0, 0, this.cellSize, this.cellSize);
+        this.scratchCtx.drawImage(thumbnail.image, thumbnail.sx, thumbnail.sy, thumbnail.sw, thumbnail.sh, 0, 0, this.cellSize, this.cellSize);
+
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texSubImage2D(
+            gl.TEXTURE_2D, 0,
+            (slot % this.columns) * this.cellSize,
+            Math.floor(slot / this.columns) * this.cellSize,
+            gl.RGBA, gl.UNSIGNED_BYTE, this.scratch
+        );
+
+        this.entries.set(id, { slot, frame });
+        return this.getRect(slot);
+    }
+
+    // Normalized [u, v, width, height], inset half a texel so neighbors don't bleed in
+    getRect(slot) {
+        const x = (slot % this.columns) * this.cellSize;
+        const y = Math.floor(slot / this.columns) * this.cellSize;
+        return [
+            (x + 0.5) / this.size,
+            (y + 0.5) / this.size,
+            (this.cellSize - 1) / this.size,
+            (this.cellSize - 1) / this.size
+        ];
+    }
+
+    destroy() {
+        this.gl.deleteTexture(this.texture);
+    }
+}
+
+class WebGLRenderer {
+    constructor() {
+        // Atlas cell size per LOD level, a bit above the largest size drawn at that level
+        this.ATLAS_LEVELS = {
+            small: { cellSize: 32, size: 2048 },
+            medium: { cellSize: 128, size: 4096 },
+            large: { cellSize: 256, size: 4096 }
+        };
+        this.MAX_UPLOADS_PER_FRAME = 48;
+        this.FLOATS_PER_INSTANCE = 10; // x, y, r, g, b, a, u, v, uWidth, vHeight
+
+        this.SHAPE_CIRCLE = 0;
+        this.SHAPE_SQUARE = 1;
+        this.SHAPE_FRAME = 2;
+
+        this.canvas = document.createElement('canvas');
+        this.gl = null;
+        this.lost = false;
+        this.atlases = {};
+        this.colorCache = new Map();
+        this.instanceData = new Float32Array(0);
+        this.frame = 0;
+
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            // Falls back to Canvas2D until the context comes back
+            e.preventDefault();
+            this.lost = true;
+        });
+
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            this.lost = false;
+            this.setup();
+        });
+
+        this.gl = this.canvas.getContext('webgl2', { alpha: true, premultipliedAlpha: true, antialias: false });
+        if (this.gl) {
+            this.setup();
+        }
+    }
+
+    isSupported() {
+        return this.gl !== null && this.program !== null;
+    }
+
+    setup() {
+        const gl = this.gl;
+
+        this.atlases = {};
+        this.program = this.createProgram(`#version 300 es
+            in vec2 a_corner;
+            in vec2 a_position;
+            in vec4 a_color;
+            in vec4 a_uv;
+
+            uniform vec3 u_camera;
+            uniform vec2 u_resolution;
+            uniform float u_size;
+
+            out vec2 v_local;
+            out vec4 v_color;
+            out vec2 v_uv;
+            out float v_textured;
+
+            void main() {
+                // Same transform as EmbeddingMap.worldToScreen, in CSS pixels
+                vec2 screen = (a_position - u_camera.xy) * u_camera.z + u_resolution * 0.5 + a_corner * u_size;
+                vec2 clip = screen / u_resolution * 2.0 - 1.0;
+                gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+                v_local = a_corner;
+                v_color = a_color;
+                v_uv = a_uv.xy + (a_corner + 0.5) * a_uv.zw;
+                v_textured = a_uv.z > 0.0 ? 1.0 : 0.0;
+            }
+        `, `#version 300 es
+            precision highp float;
+
+            uniform sampler2D u_atlas;
+            uniform int u_shape;
+            uniform float u_size;
+            uniform float u_inner;
+
+            in vec2 v_local;
+            in vec4 v_color;
+            in vec2 v_uv;
+            in float v_textured;
+
+            out vec4 outColor;
+
+            void main() {
+                float coverage = 1.0;
+
+                if (u_shape == 0) {
+                    // Antialiased circle edge
+                    coverage = clamp(u_size * 0.5 - length(v_local) * u_size + 0.5, 0.0, 1.0);
+                } else if (u_shape == 2 && max(abs(v_local.x), abs(v_local.y)) < u_inner * 0.5) {
+                    discard;
+                }
+
+                // Premultiplied output; atlas texels are premultiplied on upload
+                if (v_textured > 0.5) {
+                    outColor = texture(u_atlas, v_uv) * v_color.a * coverage;
+                } else {
+                    outColor = vec4(v_color.rgb * v_color.a, v_color.a) * coverage;
+                }
+            }
+        `);
+
+        if (!this.program) return;
+
+        this.locations = {
+            camera: gl.getUniformLocation(this.program, 'u_camera'),
+            resolution: gl.getUniformLocation(this.program, 'u_resolution'),
+            size: gl.getUniformLocation(this.program, 'u_size'),
+            shape: gl.getUniformLocation(this.program, 'u_shape'),
+            inner: gl.getUniformLocation(this.program, 'u_inner'),
+            atlas: gl.getUniformLocation(this.program, 'u_atlas')
+        };
+
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+
+        // Unit quad shared by every instance
+        const cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-0.5, -0.5, 0.5, -0.5, -0.5, 0.5, 0.5, 0.5]), gl.STATIC_DRAW);
+        const cornerLoc = gl.getAttribLocation(this.program, 'a_corner');
+        gl.enableVertexAttribArray(cornerLoc);
+        gl.vertexAttribPointer(cornerLoc, 2, gl.FLOAT, false, 0, 0);
+
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+
+        const stride = this.FLOATS_PER_INSTANCE * 4;
+        const attributes = [['a_position', 2, 0], ['a_color', 4, 2], ['a_uv', 4, 6]];
+        for (const [name, size, offset] of attributes) {
+            const loc = gl.getAttribLocation(this.program, name);
+            gl.enableVertexAttribArray(loc);
+            gl.vertexAttribPointer(loc, size, gl.FLOAT, false, stride, offset * 4);
+            gl.vertexAttribDivisor(loc, 1);
+        }
+
+        gl.bindVertexArray(null);
+
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    // Null when the shaders don't compile or link, which leaves drawing to Canvas2D
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+
+        for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                return null;
+            }
+            gl.attachShader(program, shader);
+        }
+
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            return null;
+        }
+
+        return program;
+    }
+
+    // Forget every uploaded thumbnail, e.g. when another dataset is loaded
+    reset() {
+        for (const atlas of Object.values(this.atlases)) {
+            atlas.destroy();
+        }
+        this.atlases = {};
+    }
+
+    getAtlas(renderMode) {
+        if (!this.atlases[renderMode]) {
+            const { cellSize, size } = this.ATLAS_LEVELS[renderMode];
+            const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
+            this.atlases[renderMode] = new TextureAtlas(this.gl, Math.min(size, maxSize), cellSize);
+        }
+        return this.atlases[renderMode];
+    }
+
+    // Draw the visible points the way EmbeddingMap's Canvas2D path does, decluttered when
+    // given a layout. Returns false when WebGL can't be used, so the caller falls back.
+    render(map, points, size, renderMode, showHeatmap, layout = null) {
+        if (!this.isSupported() || this.lost) return false;
+
+        const gl = this.gl;
+        const { width, height } = map.getViewSize();
+        const dpr = window.devicePixelRatio || 1;
+
+        if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(height * dpr)) {
+            this.canvas.width = Math.round(width * dpr);
+            this.canvas.height = Math.round(height * dpr);
+        }
+
+        this.frame++;
+
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        gl.useProgram(this.program);
+        gl.bindVertexArray(this.vao);
+        gl.uniform3f(this.locations.camera, map.camera.x, map.camera.y, map.camera.zoom);
+        gl.uniform2f(this.locations.resolution, width, height);
+
+        const dotColor = (point) => ({
+            color: map.selectedIds !== null && map.selectedIds.has(point.id)
+                ? '#22d3ee'
+                : (map.filteredIds && !map.filteredIds.has(point.id) ? '#333' : map.getPointColor(point))
+        });
+
+        if (renderMode === 'dot') {
+            // Dots are represented by the heatmap
+            if (!showHeatmap) {
+                this.drawInstances(points, this.SHAPE_CIRCLE, size, 0, dotColor);
+            }
+        } else if (layout) {
+            if (!showHeatmap && layout.dots.length > 0) {
+                this.drawInstances(layout.dots, this.SHAPE_CIRCLE, map.declutter.DOT_SIZE, 0, dotColor);
+            }
+
+            // Stand-ins at the spots the thumbnails were moved to
+            const placed = layout.thumbnails.map(({ point, x, y }) => ({ id: point.id, x, y }));
+            this.drawThumbnails(map, placed, size, renderMode);
+        } else {
+            this.drawThumbnails(map, points, size, renderMode);
+        }
+
+        gl.bindVertexArray(null);
+        return true;
+    }
+
+    drawThumbnails(map, points, size, renderMode) {
+        const gl = this.gl;
+        const atlas = this.getAtlas(renderMode);
+        const colored = map.hasPointColors();
+
+        // Border frames go first; the thumbnails cover their inner part
+        const framed = points.filter(point => colored || (map.selectedIds !== null && map.selectedIds.has(point.id)));
+        if (framed.length > 0) {
+            this.drawInstances(framed, this.SHAPE_FRAME, size + 4, size / (size + 4), (point) => ({
+                color: map.selectedIds !== null && map.selectedIds.has(point.id) ? '#22d3ee' : map.getPointColor(point)
+            }));
+        }
+
+        let uploads = 0;
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, atlas.texture);
+        gl.uniform1i(this.locations.atlas, 0);
+
+        this.drawInstances(points, this.SHAPE_SQUARE, size, 0, (point) => {
+            let rect = atlas.get(point.id, this.frame);
+
+            if (!rect && uploads < this.MAX_UPLOADS_PER_FRAME) {
+                const thumbnail = map.getThumbnail(point.id, size);
+                if (thumbnail) {
+                    uploads++;
+                    rect = atlas.add(point.id, thumbnail, this.frame);
+                }
+            }
+
+            // Placeholder while loading (or waiting for an atlas slot)
+            if (!rect) {
+                return { color: '#2a2a2a' };
+            }
+
+            return {
+                color: '#ffffff',
+                alpha: map.filteredIds && !map.filteredIds.has(point.id) ? 0.2 : 1.0,
+                rect
+            };
+        });
+    }
+
+    // One instanced draw call; describe(point) -> {color, alpha?, rect?}
+    drawInstances(points, shape, size, inner, describe) {
+        const gl = this.gl;
+        const floats = this.FLOATS_PER_INSTANCE;
+
+        if (this.instanceData.length < points.length * floats) {
+            this.instanceData = new Float32Array(points.length * floats * 2);
+        }
+
+        const data = this.instanceData;
+        points.forEach((point, i) => {
+            const { color, alpha = 1, rect = null } = describe(point);
+            const rgb = this.parseColor(color);
+            const o = i * floats;
+
+            data[o] = point.x;
+            data[o + 1] = point.y;
+            data[o + 2] = rgb[0];
+            data[o + 3] = rgb[1];
+            data[o + 4] = rgb[2];
+            data[o + 5] = alpha;
+            data[o + 6] = rect ? rect[0] : 0;
+            data[o + 7] = rect ? rect[1] : 0;
+            data[o + 8] = rect ? rect[2] : 0;
+            data[o + 9] = rect ? rect[3] : 0;
+        });
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, points.length * floats), gl.STREAM_DRAW);
+
+        gl.uniform1i(this.locations.shape, shape);
+        gl.uniform1f(this.locations.size, size);
+        gl.uniform1f(this.locations.inner, inner);
+
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, points.length);
+    }
+
+    // '#rgb' or '#rrggbb' -> [r, g, b] in 0..1
+    parseColor(color) {
+        let rgb = this.colorCache.get(color);
+
+        if (!rgb) {
+            const hex = color.length === 4
+                ? color.slice(1).split('').map(c => c + c).join('')
+                : color.slice(1);
+            rgb = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+            this.colorCache.set(color, rgb);
+        }
+
+        return rgb;
+    }
+}
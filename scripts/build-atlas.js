@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Build-atlas.js - Pack thumbnails into sprite sheets plus an atlas.json manifest
+ *
+ * Thumbnails are ordered along a Z-order curve over their map position, so each
+ * sheet covers a compact region of the map and the viewer only loads the sheets
+ * it needs.
+ *
+ * Usage: node scripts/build-atlas.js [--thumbnails dir] [--data data.json]
+ *                                    [--tile 128] [--sheet 4096] [--quality 85]
+ *
+ * Requires sharp: npm install --no-save sharp (in the repository root)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+    const options = {
+        thumbnails: path.join(ROOT, 'thumbnails'),
+        data: path.join(ROOT, 'data.json'),
+        tile: 128,
+        sheet: 4096,
+        quality: 85
+    };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+
+        if (!(name in options) || value === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+
+        options[name] = typeof options[name] === 'number' ? parseInt(value, 10) : path.resolve(value);
+    }
+
+    if (options.sheet < options.tile) {
+        throw new Error('--sheet must be at least --tile');
+    }
+
+    return options;
+}
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        throw new Error('This script needs the sharp image library. Install it in the repository root with: npm install --no-save sharp');
+    }
+}
+
+// Interleave the bits of two 16-bit integers
+function mortonCode(x, y) {
+    let code = 0;
+    for (let bit = 0; bit < 16; bit++) {
+        code += (((x >> bit) & 1) * 2 ** (2 * bit)) + (((y >> bit) & 1) * 2 ** (2 * bit + 1));
+    }
+    return code;
+}
+
+function sortByMapPosition(points, bounds) {
+    const width = bounds.maxX - bounds.minX || 1;
+    const height = bounds.maxY - bounds.minY || 1;
+
+    const keyed = points.map(point => ({
+        point,
+        code: mortonCode(
+            Math.round(((point.x - bounds.minX) / width) * 65535),
+            Math.round(((point.y - bounds.minY) / height) * 65535)
+        )
+    }));
+
+    keyed.sort((a, b) => a.code - b.code);
+    return keyed.map(entry => entry.point);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const sharp = loadSharp();
+
+    console.log(`Loading ${options.data}...`);
+    const data = JSON.parse(fs.readFileSync(options.data, 'utf8'));
+
+    // Only thumbnails that exist are packed; the rest fall back to single files
+    const points = sortByMapPosition(data.points, data.bounds).filter(point =>
+        fs.existsSync(path.join(options.thumbnails, `image_${point.id}.jpg`))
+    );
+    const missing = data.points.length - points.length;
+
+    const columns = Math.floor(options.sheet / options.tile);
+    const perSheet = columns * columns;
+    const sheetCount = Math.ceil(points.length / perSheet);
+
+    console.log(`Packing ${points.length} thumbnails into ${sheetCount} sheets of up to ${perSheet} (${options.tile}px tiles)...`);
+    if (missing > 0) {
+        console.log(`  Skipping ${missing} points without a thumbnail`);
+    }
+
+    const manifest = { version: 1, tileSize: options.tile, sheets: [], sprites: {} };
+
+    for (let sheet = 0; sheet < sheetCount; sheet++) {
+        const members = points.slice(sheet * perSheet, (sheet + 1) * perSheet);
+        const rows = Math.ceil(members.length / columns);
+        const composites = [];
+
+        for (let i = 0; i < members.length; i++) {
+            const point = members[i];
+            const left = (i % columns) * options.tile;
+            const top = Math.floor(i / columns) * options.tile;
+
+            const input = await sharp(path.join(options.thumbnails, `image_${point.id}.jpg`))
+                .resize(options.tile, options.tile, { fit: 'cover' })
+                .toBuffer();
+
+            composites.push({ input, left, top });
+            manifest.sprites[point.id] = [sheet, left, top, options.tile, options.tile];
+        }
+
+        const file = `atlas_${sheet}.jpg`;
+        await sharp({
+            create: {
+                width: Math.min(members.length, columns) * options.tile,
+                height: rows * options.tile,
+                channels: 3,
+                background: '#000000'
+            }
+        })
+            .composite(composites)
+            .jpeg({ quality: options.quality })
+            .toFile(path.join(options.thumbnails, file));
+
+        manifest.sheets.push(file);
+        console.log(`  ${file}: ${members.length} thumbnails`);
+    }
+
+    const manifestPath = path.join(options.thumbnails, 'atlas.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+    console.log(`\nSuccess! Wrote ${manifestPath}`);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
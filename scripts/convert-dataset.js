@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Convert-dataset.js - Convert data.json to the compact binary format (data.bin)
+ *
+ * The format is described in js/binary-loader.js. Fields other than id, x, y
+ * and prompt are kept in the trailing extras block.
+ *
+ * Usage: node scripts/convert-dataset.js [input.json] [output.bin]
+ *        node scripts/convert-dataset.js --verify [input.json] [output.bin]
+ *
+ * --verify decodes the written file with the browser's parser (fed in small
+ * chunks, as when streaming) and checks it matches the input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const HEADER_SIZE = 32;
+const VERSION = 1;
+const BUILTIN_FIELDS = ['id', 'x', 'y', 'prompt'];
+
+function encode(data) {
+    const points = data.points;
+    const count = points.length;
+
+    const prompts = points.map(point => Buffer.from(point.prompt, 'utf8'));
+    const extras = collectExtras(points);
+    const extrasBytes = extras ? Buffer.from(JSON.stringify(extras), 'utf8') : Buffer.alloc(0);
+
+    const size = HEADER_SIZE + count * 12 +
+        prompts.reduce((sum, bytes) => sum + 4 + bytes.length, 0) +
+        4 + extrasBytes.length;
+    const buffer = Buffer.alloc(size);
+
+    buffer.write('EMAP', 0, 'latin1');
+    buffer.writeUInt16LE(VERSION, 4);
+    buffer.writeUInt16LE(HEADER_SIZE, 6);
+    buffer.writeUInt32LE(count, 8);
+    buffer.writeFloatLE(data.bounds.minX, 12);
+    buffer.writeFloatLE(data.bounds.minY, 16);
+    buffer.writeFloatLE(data.bounds.maxX, 20);
+    buffer.writeFloatLE(data.bounds.maxY, 24);
+
+    let offset = HEADER_SIZE;
+    for (const point of points) {
+        if (!Number.isInteger(point.id) || point.id < 0 || point.id > 0xFFFFFFFF) {
+            throw new Error(`Point id must be a non-negative 32-bit integer: ${point.id}`);
+        }
+        buffer.writeUInt32LE(point.id, offset);
+        offset += 4;
+    }
+    for (const point of points) {
+        buffer.writeFloatLE(point.x, offset);
+        offset += 4;
+    }
+    for (const point of points) {
+        buffer.writeFloatLE(point.y, offset);
+        offset += 4;
+    }
+
+    for (const bytes of prompts) {
+        buffer.writeUInt32LE(bytes.length, offset);
+        bytes.copy(buffer, offset + 4);
+        offset += 4 + bytes.length;
+    }
+
+    buffer.writeUInt32LE(extrasBytes.length, offset);
+    extrasBytes.copy(buffer, offset + 4);
+
+    return buffer;
+}
+
+// {field: [value per point, null when missing]}, or null when there are no extra fields
+function collectExtras(points) {
+    const names = new Set();
+    for (const point of points) {
+        for (const name of Object.keys(point)) {
+            if (!BUILTIN_FIELDS.includes(name)) names.add(name);
+        }
+    }
+
+    if (names.size === 0) return null;
+
+    const extras = {};
+    for (const name of names) {
+        extras[name] = points.map(point => (point[name] === undefined ? null : point[name]));
+    }
+    return extras;
+}
+
+function loadParser() {
+    const source = fs.readFileSync(path.join(ROOT, 'js', 'binary-loader.js'), 'utf8');
+    return vm.runInThisContext(`${source}\nBinaryDatasetParser;`);
+}
+
+function verify(data, buffer) {
+    const BinaryDatasetParser = loadParser();
+    const parser = new BinaryDatasetParser();
+
+    // Odd-sized chunks so every field gets split across pushes somewhere
+    const CHUNK_SIZE = 997;
+    let coordinatesAt = null;
+    for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+        parser.push(new Uint8Array(buffer.buffer, buffer.byteOffset + offset, Math.min(CHUNK_SIZE, buffer.length - offset)));
+        if (coordinatesAt === null && parser.hasCoordinates()) {
+            coordinatesAt = offset + CHUNK_SIZE;
+        }
+    }
+
+    const decoded = parser.finish();
+    const errors = [];
+    const closeEnough = (a, b) => Math.abs(a - b) <= 1e-4 * Math.max(1, Math.abs(b));
+
+    if (decoded.points.length !== data.points.length) {
+        errors.push(`point count ${decoded.points.length} != ${data.points.length}`);
+    }
+
+    for (const key of ['minX', 'minY', 'maxX', 'maxY']) {
+        if (!closeEnough(decoded.bounds[key], data.bounds[key])) {
+            errors.push(`bounds.${key} ${decoded.bounds[key]} != ${data.bounds[key]}`);
+        }
+    }
+
+    data.points.forEach((expected, i) => {
+        const actual = decoded.points[i];
+        if (!actual) return;
+
+        for (const [name, value] of Object.entries(expected)) {
+            const ok = name === 'x' || name === 'y'
+                ? closeEnough(actual[name], value)
+                : JSON.stringify(actual[name]) === JSON.stringify(value);
+            if (!ok && errors.length < 20) {
+                errors.push(`point ${i} ${name}: ${JSON.stringify(actual[name])} != ${JSON.stringify(value)}`);
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Round trip failed:\n  ${errors.join('\n  ')}`);
+    }
+
+    console.log(`Round trip OK: ${decoded.points.length} points; coordinates were ready after ${coordinatesAt} of ${buffer.length} bytes`);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const verifyOutput = args[0] === '--verify';
+    if (verifyOutput) args.shift();
+
+    const inputPath = path.resolve(args[0] || path.join(ROOT, 'data.json'));
+    const outputPath = path.resolve(args[1] || inputPath.replace(/\.json$/, '') + '.bin');
+
+    console.log(`Loading ${inputPath}...`);
+    const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+
+    const buffer = encode(data);
+    fs.writeFileSync(outputPath, buffer);
+
+    const inputSize = fs.statSync(inputPath).size;
+    console.log(`Wrote ${outputPath}`);
+    console.log(`  Points: ${data.points.length}`);
+    console.log(`  File size: ${(buffer.length / (1024 * 1024)).toFixed(2)} MB (JSON: ${(inputSize / (1024 * 1024)).toFixed(2)} MB)`);
+
+    if (verifyOutput) {
+        verify(data, fs.readFileSync(outputPath));
+    }
+}
+
+// Run as a script; scripts/test-binary-loader.js requires it for encode()
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { encode };
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Test-binary-loader.js - Round-trip datasets through convert-dataset.js and the
+ * browser's streaming parser, split into chunks at arbitrary boundaries
+ *
+ * Chunk sizes come from a seeded generator, so a failure can be reproduced.
+ *
+ * Usage: node scripts/test-binary-loader.js
+ *        node --test              (runs every scripts/test-*.js)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { encode } = require('./convert-dataset');
+const { ROOT, loadBrowserScript, createRandom } = require('./testing');
+
+const BinaryDatasetParser = loadBrowserScript('binary-loader.js', 'BinaryDatasetParser');
+
+// Push buffer in chunks of the given sizes (the last chunk takes whatever is left)
+function parseInChunks(buffer, sizes) {
+    const parser = new BinaryDatasetParser();
+    let offset = 0;
+
+    for (const size of sizes) {
+        if (offset >= buffer.length) break;
+        const end = Math.min(buffer.length, offset + size);
+        parser.push(new Uint8Array(buffer.buffer, buffer.byteOffset + offset, end - offset));
+        offset = end;
+    }
+    if (offset < buffer.length) {
+        parser.push(new Uint8Array(buffer.buffer, buffer.byteOffset + offset, buffer.length - offset));
+    }
+
+    return parser.finish();
+}
+
+function randomSizes(random, total, maxSize) {
+    const sizes = [];
+    for (let sum = 0; sum < total;) {
+        const size = 1 + Math.floor(random() * maxSize);
+        sizes.push(size);
+        sum += size;
+    }
+    return sizes;
+}
+
+// What the parser should produce: coordinates rounded to 32-bit floats, missing extras left out
+function expectedFor(data) {
+    return {
+        points: data.points.map(point => ({ ...point, x: Math.fround(point.x), y: Math.fround(point.y) })),
+        bounds: {
+            minX: Math.fround(data.bounds.minX),
+            minY: Math.fround(data.bounds.minY),
+            maxX: Math.fround(data.bounds.maxX),
+            maxY: Math.fround(data.bounds.maxY)
+        }
+    };
+}
+
+// Prompts with multi-byte characters (so chunk edges fall inside them), an empty
+// prompt and extra fields that some points lack
+const SAMPLE = {
+    bounds: { minX: -12.5, minY: -3.25, maxX: 40.1, maxY: 7.3 },
+    points: [
+        { id: 0, x: -12.5, y: 7.3, prompt: 'a red fox in the snow', score: 0.5, tags: ['fox', 'snow'] },
+        { id: 7, x: 40.1, y: -3.25, prompt: 'café au lait, naïve façade', score: 2 },
+        { id: 42, x: 0.1, y: 0.2, prompt: '' },
+        { id: 4294967295, x: 3.3333, y: -1e-3, prompt: '🦊🦊 emoji — and 日本語のテキスト', kind: 'odd' },
+        { id: 5, x: 1, y: 1, prompt: 'x'.repeat(300), kind: 'even', score: -1 }
+    ]
+};
+
+test('the sample round-trips in one chunk', () => {
+    const buffer = encode(SAMPLE);
+    assert.deepStrictEqual(parseInChunks(buffer, [buffer.length]), expectedFor(SAMPLE));
+});
+
+test('the sample round-trips one byte at a time', () => {
+    const buffer = encode(SAMPLE);
+    assert.deepStrictEqual(parseInChunks(buffer, new Array(buffer.length).fill(1)), expectedFor(SAMPLE));
+});
+
+test('the sample round-trips split in two at every offset', () => {
+    const buffer = encode(SAMPLE);
+    const expected = expectedFor(SAMPLE);
+
+    for (let split = 1; split < buffer.length; split++) {
+        assert.deepStrictEqual(parseInChunks(buffer, [split]), expected, `split at byte ${split}`);
+    }
+});
+
+test('the sample round-trips in random chunks', () => {
+    const buffer = encode(SAMPLE);
+    const expected = expectedFor(SAMPLE);
+
+    for (let seed = 1; seed <= 200; seed++) {
+        const sizes = randomSizes(createRandom(seed), buffer.length, 40);
+        assert.deepStrictEqual(parseInChunks(buffer, sizes), expected, `seed ${seed}: ${sizes.join(',')}`);
+    }
+});
+
+test('a dataset without extra fields round-trips', () => {
+    const data = {
+        bounds: { minX: 0, minY: 0, maxX: 1, maxY: 1 },
+        points: [{ id: 1, x: 0, y: 1, prompt: 'one' }, { id: 2, x: 1, y: 0, prompt: 'two' }]
+    };
+    const buffer = encode(data);
+    assert.deepStrictEqual(parseInChunks(buffer, randomSizes(createRandom(3), buffer.length, 7)), expectedFor(data));
+});
+
+test('data larger than the initial buffer round-trips', () => {
+    const random = createRandom(11);
+    const points = [];
+    for (let i = 0; i < 2000; i++) {
+        points.push({ id: i, x: random() * 100, y: random() * 100, prompt: `prompt ${i} `.repeat(1 + Math.floor(random() * 20)) });
+    }
+    const data = { bounds: { minX: 0, minY: 0, maxX: 100, maxY: 100 }, points };
+
+    const buffer = encode(data);
+    assert.ok(buffer.length > 64 * 1024 * 2, `only ${buffer.length} bytes`);
+    assert.deepStrictEqual(parseInChunks(buffer, randomSizes(random, buffer.length, 8192)), expectedFor(data));
+});
+
+test('coordinates are available before the prompts arrive', () => {
+    const buffer = encode(SAMPLE);
+    const coordinatesEnd = 32 + SAMPLE.points.length * 12;
+    const parser = new BinaryDatasetParser();
+
+    parser.push(new Uint8Array(buffer.buffer, buffer.byteOffset, coordinatesEnd - 1));
+    assert.strictEqual(parser.hasCoordinates(), false);
+
+    parser.push(new Uint8Array(buffer.buffer, buffer.byteOffset + coordinatesEnd - 1, 1));
+    assert.strictEqual(parser.hasCoordinates(), true);
+
+    const { points, bounds } = parser.getCoordinates();
+    const expected = expectedFor(SAMPLE);
+    assert.deepStrictEqual(bounds, expected.bounds);
+    assert.deepStrictEqual(points.map(({ id, x, y }) => ({ id, x, y })), expected.points.map(({ id, x, y }) => ({ id, x, y })));
+    assert.ok(points.every(point => point.prompt === ''));
+});
+
+test('a truncated file is reported by finish()', () => {
+    const buffer = encode(SAMPLE);
+    for (const cut of [0, 10, 32, 32 + SAMPLE.points.length * 12, buffer.length - 1]) {
+        assert.throws(() => parseInChunks(buffer.subarray(0, cut), []), /truncated/, `cut at byte ${cut}`);
+    }
+});
+
+test('a bad magic number or version is rejected', () => {
+    const badMagic = Buffer.from(encode(SAMPLE));
+    badMagic.write('JSON', 0, 'latin1');
+    assert.throws(() => parseInChunks(badMagic, [5, 30]), /bad magic number/);
+
+    const badVersion = Buffer.from(encode(SAMPLE));
+    badVersion.writeUInt16LE(99, 4);
+    assert.throws(() => parseInChunks(badVersion, [3, 29]), /version 99/);
+});
+
+test('data.json round-trips in random chunks', { skip: !fs.existsSync(path.join(ROOT, 'data.json')) }, () => {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data.json'), 'utf8'));
+    const buffer = encode(data);
+    const expected = expectedFor(data);
+
+    for (const seed of [1, 2, 3]) {
+        assert.deepStrictEqual(parseInChunks(buffer, randomSizes(createRandom(seed), buffer.length, 4096)), expected, `seed ${seed}`);
+    }
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Test-gestures.js - Check TouchGestureRecognizer against synthetic touch sequences
+ *
+ * Usage: node scripts/test-gestures.js
+ *        node --test              (runs every scripts/test-*.js)
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { loadBrowserScript } = require('./testing');
+
+const TouchGestureRecognizer = loadBrowserScript('gestures.js', 'TouchGestureRecognizer');
+
+// One finger down at (x, y) and up again after duration ms, starting at time
+function tap(gestures, x, y, time, duration = 50) {
+    gestures.start([{ id: 0, x, y }], time);
+    return gestures.end([], time + duration);
+}
+
+test('pinch scales around the midpoint of the two fingers', () => {
+    const gestures = new TouchGestureRecognizer();
+    gestures.start([{ id: 0, x: 100, y: 100 }, { id: 1, x: 200, y: 100 }], 0);
+
+    const result = gestures.move([{ id: 0, x: 50, y: 100 }, { id: 1, x: 250, y: 100 }], 16);
+    assert.deepStrictEqual(result, [{ type: 'pinch', x: 150, y: 100, scale: 2 }]);
+
+    // Scale is relative to the previous move, not the start
+    const next = gestures.move([{ id: 0, x: 100, y: 100 }, { id: 1, x: 200, y: 100 }], 32);
+    assert.deepStrictEqual(next, [{ type: 'pinch', x: 150, y: 100, scale: 0.5 }]);
+});
+
+test('pinch follows a midpoint that moves while spreading', () => {
+    const gestures = new TouchGestureRecognizer();
+    gestures.start([{ id: 0, x: 0, y: 0 }, { id: 1, x: 100, y: 0 }], 0);
+
+    const result = gestures.move([{ id: 0, x: 0, y: 40 }, { id: 1, x: 200, y: 40 }], 16);
+    assert.deepStrictEqual(result, [
+        { type: 'pan', dx: 50, dy: 40 },
+        { type: 'pinch', x: 100, y: 40, scale: 2 }
+    ]);
+});
+
+test('two fingers moving together pan by their midpoint without pinching', () => {
+    const gestures = new TouchGestureRecognizer();
+    gestures.start([{ id: 0, x: 100, y: 100 }, { id: 1, x: 200, y: 100 }], 0);
+
+    const result = gestures.move([{ id: 0, x: 130, y: 80 }, { id: 1, x: 230, y: 80 }], 16);
+    assert.deepStrictEqual(result, [{ type: 'pan', dx: 30, dy: -20 }]);
+
+    assert.deepStrictEqual(gestures.end([], 32), [{ type: 'panEnd', velocity: { x: 30, y: -20 } }]);
+});
+
+test('a finger lifted mid-pinch hands the pan to the remaining finger', () => {
+    const gestures = new TouchGestureRecognizer();
+    gestures.start([{ id: 0, x: 100, y: 100 }, { id: 1, x: 200, y: 100 }], 0);
+    gestures.move([{ id: 0, x: 90, y: 100 }, { id: 1, x: 210, y: 100 }], 16);
+
+    assert.deepStrictEqual(gestures.end([{ id: 1, x: 210, y: 100 }], 32), []);
+    assert.deepStrictEqual(gestures.move([{ id: 1, x: 215, y: 103 }], 48), [{ type: 'pan', dx: 5, dy: 3 }]);
+});
+
+test('a short touch that stays within TAP_DISTANCE is a tap', () => {
+    const gestures = new TouchGestureRecognizer();
+    gestures.start([{ id: 0, x: 100, y: 100 }], 0);
+
+    // Jitter within the tap distance doesn't pan
+    assert.deepStrictEqual(gestures.move([{ id: 0, x: 104, y: 103 }], 16), []);
+    assert.deepStrictEqual(gestures.end([], 100), [{ type: 'tap', x: 104, y: 103 }]);
+});
+
+test('moving past TAP_DISTANCE drags instead of tapping', () => {
+    const gestures = new TouchGestureRecognizer();
+    const limit = gestures.TAP_DISTANCE;
+    gestures.start([{ id: 0, x: 100, y: 100 }], 0);
+
+    assert.deepStrictEqual(gestures.move([{ id: 0, x: 100 + limit, y: 100 }], 16), []);
+
+    // The first pan catches up with everything since the start
+    assert.deepStrictEqual(gestures.move([{ id: 0, x: 100 + limit + 1, y: 100 }], 32), [{ type: 'pan', dx: limit + 1, dy: 0 }]);
+    assert.deepStrictEqual(gestures.move([{ id: 0, x: 100 + limit + 4, y: 102 }], 48), [{ type: 'pan', dx: 3, dy: 2 }]);
+
+    // Coming back near the start doesn't turn it into a tap again
+    assert.deepStrictEqual(gestures.move([{ id: 0, x: 100, y: 100 }], 64), [{ type: 'pan', dx: -(limit + 4), dy: -2 }]);
+    assert.deepStrictEqual(gestures.end([], 80), [{ type: 'panEnd', velocity: { x: -(limit + 4), y: -2 } }]);
+});
+
+test('holding longer than TAP_DURATION is not a tap', () => {
+    const gestures = new TouchGestureRecognizer();
+    assert.deepStrictEqual(tap(gestures, 100, 100, 0, gestures.TAP_DURATION + 1), []);
+});
+
+test('two quick taps close together are a double tap', () => {
+    const gestures = new TouchGestureRecognizer();
+    assert.deepStrictEqual(tap(gestures, 100, 100, 0), [{ type: 'tap', x: 100, y: 100 }]);
+    assert.deepStrictEqual(tap(gestures, 110, 95, 200), [{ type: 'doubleTap', x: 110, y: 95 }]);
+
+    // A third tap starts over rather than double-tapping again
+    assert.deepStrictEqual(tap(gestures, 110, 95, 400), [{ type: 'tap', x: 110, y: 95 }]);
+});
+
+test('taps too far apart in time are two single taps', () => {
+    const gestures = new TouchGestureRecognizer();
+    const interval = gestures.DOUBLE_TAP_INTERVAL;
+
+    assert.deepStrictEqual(tap(gestures, 100, 100, 0), [{ type: 'tap', x: 100, y: 100 }]);
+    // The interval runs from lifting the finger after the first tap (at 50) to lifting it after the second
+    assert.deepStrictEqual(tap(gestures, 100, 100, interval + 1), [{ type: 'tap', x: 100, y: 100 }]);
+});
+
+test('taps at the edge of the double-tap interval and distance still count', () => {
+    const gestures = new TouchGestureRecognizer();
+    const interval = gestures.DOUBLE_TAP_INTERVAL;
+    const distance = gestures.DOUBLE_TAP_DISTANCE;
+
+    tap(gestures, 100, 100, 0);
+    assert.deepStrictEqual(tap(gestures, 100 + distance, 100, interval), [{ type: 'doubleTap', x: 100 + distance, y: 100 }]);
+});
+
+test('taps too far apart in space are two single taps', () => {
+    const gestures = new TouchGestureRecognizer();
+    const distance = gestures.DOUBLE_TAP_DISTANCE;
+
+    tap(gestures, 100, 100, 0);
+    assert.deepStrictEqual(tap(gestures, 100 + distance + 1, 100, 200), [{ type: 'tap', x: 100 + distance + 1, y: 100 }]);
+});
+
+test('lifting the fingers after a pinch is not a tap', () => {
+    const gestures = new TouchGestureRecognizer();
+    gestures.start([{ id: 0, x: 100, y: 100 }, { id: 1, x: 200, y: 100 }], 0);
+    gestures.move([{ id: 0, x: 95, y: 100 }, { id: 1, x: 205, y: 100 }], 16);
+
+    assert.deepStrictEqual(gestures.end([{ id: 1, x: 205, y: 100 }], 32), []);
+    const result = gestures.end([], 48);
+    assert.ok(!result.some(gesture => gesture.type === 'tap' || gesture.type === 'doubleTap'), JSON.stringify(result));
+});
+
+test('a quick two-finger touch without movement is not a tap', () => {
+    const gestures = new TouchGestureRecognizer();
+    gestures.start([{ id: 0, x: 100, y: 100 }], 0);
+    gestures.start([{ id: 0, x: 100, y: 100 }, { id: 1, x: 150, y: 100 }], 10);
+
+    assert.deepStrictEqual(gestures.end([{ id: 0, x: 100, y: 100 }], 40), []);
+    assert.deepStrictEqual(gestures.end([], 60), []);
+});
+
+test('a cancelled touch neither taps nor pairs with the next tap', () => {
+    const gestures = new TouchGestureRecognizer();
+    tap(gestures, 100, 100, 0);
+
+    gestures.start([{ id: 0, x: 100, y: 100 }], 100);
+    gestures.cancel();
+
+    assert.deepStrictEqual(tap(gestures, 100, 100, 200), [{ type: 'tap', x: 100, y: 100 }]);
+});
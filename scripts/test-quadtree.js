@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Test-quadtree.js - Check the map's QuadTree queries and edits against a brute-force scan
+ *
+ * Points are random but seeded, and include exact duplicates and points on node
+ * edges, so a failure can be reproduced.
+ *
+ * Usage: node scripts/test-quadtree.js
+ *        node --test              (runs every scripts/test-*.js)
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { loadBrowserScript, createRandom } = require('./testing');
+
+const QuadTree = loadBrowserScript('map.js', 'QuadTree');
+
+const BOUNDS = { x: -500, y: -500, width: 10000, height: 7000 };
+
+function createPoints(random) {
+    const points = [];
+    let id = 0;
+
+    // A spread-out background plus a tight cluster deep enough to hit maxDepth
+    for (let i = 0; i < 3000; i++) {
+        points.push({ id: id++, x: BOUNDS.x + random() * BOUNDS.width, y: BOUNDS.y + random() * BOUNDS.height });
+    }
+    for (let i = 0; i < 500; i++) {
+        points.push({ id: id++, x: 4000 + random() * 5, y: 3000 + random() * 5 });
+    }
+
+    // Exact duplicates and points on the lines where nodes split
+    for (let i = 0; i < 20; i++) {
+        points.push({ id: id++, x: 1234.5, y: 2345.5 });
+    }
+    for (let i = 0; i < 50; i++) {
+        points.push({ id: id++, x: BOUNDS.x + BOUNDS.width / 2, y: BOUNDS.y + random() * BOUNDS.height });
+        points.push({ id: id++, x: BOUNDS.x + random() * BOUNDS.width, y: BOUNDS.y + BOUNDS.height / 4 });
+    }
+
+    return points;
+}
+
+function buildTree(points) {
+    const tree = new QuadTree(BOUNDS);
+    for (const point of points) {
+        assert.ok(tree.insert(point), `point ${point.id} at (${point.x}, ${point.y}) was not inserted`);
+    }
+    return tree;
+}
+
+function bruteForceNearest(points, x, y, k, maxDistance = Infinity, filter = null) {
+    return points
+        .filter(point => !filter || filter(point))
+        .map(point => ({ point, distance: Math.sqrt((point.x - x) ** 2 + (point.y - y) ** 2) }))
+        .filter(entry => entry.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k);
+}
+
+// Ties at the k-th distance may be broken either way, so compare distances, and
+// require every point strictly closer than the last one to be present
+function assertSameNearest(actual, expected, label) {
+    assert.deepStrictEqual(actual.map(entry => entry.distance), expected.map(entry => entry.distance), label);
+
+    if (expected.length === 0) return;
+    const last = expected[expected.length - 1].distance;
+    const closer = (entries) => entries.filter(entry => entry.distance < last).map(entry => entry.point.id).sort((a, b) => a - b);
+    assert.deepStrictEqual(closer(actual), closer(expected), label);
+
+    const ids = actual.map(entry => entry.point.id);
+    assert.strictEqual(new Set(ids).size, ids.length, `${label}: a point was returned twice`);
+}
+
+// Query positions near the data, inside the cluster, on duplicates and outside the bounds
+function createQueries(random, points) {
+    const queries = [
+        { x: 4002, y: 3002 },
+        { x: 1234.5, y: 2345.5 },
+        { x: BOUNDS.x + BOUNDS.width / 2, y: BOUNDS.y + BOUNDS.height / 4 },
+        { x: -2000, y: -2000 },
+        { x: 20000, y: 3000 }
+    ];
+    for (let i = 0; i < 60; i++) {
+        queries.push({ x: BOUNDS.x - 200 + random() * (BOUNDS.width + 400), y: BOUNDS.y - 200 + random() * (BOUNDS.height + 400) });
+    }
+    for (let i = 0; i < 20; i++) {
+        const point = points[Math.floor(random() * points.length)];
+        queries.push({ x: point.x, y: point.y });
+    }
+    return queries;
+}
+
+// Sorted ids, to compare result sets that come in no particular order
+function ids(list) {
+    return list.map(point => point.id).sort((a, b) => a - b);
+}
+
+// Every kind of query on tree agrees with a scan over points
+function assertMatchesBruteForce(tree, points, queries, label) {
+    assert.deepStrictEqual(ids(tree.query(BOUNDS)), ids(points), `${label}: contents`);
+
+    for (const { x, y } of queries) {
+        const radius = 200;
+        const within = points.filter(point => (point.x - x) ** 2 + (point.y - y) ** 2 <= radius * radius);
+        assert.deepStrictEqual(ids(tree.queryRadius(x, y, radius)), ids(within), `${label}: r=${radius} at (${x}, ${y})`);
+        assertSameNearest(tree.nearest(x, y, 10), bruteForceNearest(points, x, y, 10), `${label}: k=10 at (${x}, ${y})`);
+    }
+}
+
+const random = createRandom(19);
+const points = createPoints(random);
+const tree = buildTree(points);
+const queries = createQueries(random, points);
+
+test('every inserted point is found by a query over the whole tree', () => {
+    const found = tree.query(BOUNDS);
+    assert.strictEqual(found.length, points.length);
+    assert.strictEqual(new Set(found).size, points.length);
+});
+
+test('points outside the bounds are rejected', () => {
+    const outside = new QuadTree({ x: 0, y: 0, width: 100, height: 100 });
+    assert.strictEqual(outside.insert({ id: 0, x: 100, y: 50 }), false);
+    assert.strictEqual(outside.insert({ id: 1, x: -0.5, y: 50 }), false);
+    assert.deepStrictEqual(outside.query({ x: 0, y: 0, width: 100, height: 100 }), []);
+});
+
+test('k nearest neighbors match a brute-force scan', () => {
+    for (const { x, y } of queries) {
+        for (const k of [1, 2, 5, 16, 50]) {
+            assertSameNearest(tree.nearest(x, y, k), bruteForceNearest(points, x, y, k), `k=${k} at (${x}, ${y})`);
+        }
+    }
+});
+
+test('nearest neighbors within a radius match a brute-force scan', () => {
+    for (const { x, y } of queries) {
+        for (const radius of [0, 3, 40, 300]) {
+            assertSameNearest(tree.nearest(x, y, 5, radius), bruteForceNearest(points, x, y, 5, radius), `k=5 r=${radius} at (${x}, ${y})`);
+        }
+    }
+});
+
+test('radius queries match a brute-force scan', () => {
+    for (const { x, y } of queries) {
+        for (const radius of [0, 3, 40, 300, 2500]) {
+            const expected = points.filter(point => (point.x - x) ** 2 + (point.y - y) ** 2 <= radius * radius);
+            assert.deepStrictEqual(ids(tree.queryRadius(x, y, radius)), ids(expected), `r=${radius} at (${x}, ${y})`);
+        }
+    }
+});
+
+test('every point within a radius is found when k is unbounded', () => {
+    for (const { x, y } of queries) {
+        for (const radius of [0, 10, 150]) {
+            assertSameNearest(
+                tree.nearest(x, y, Infinity, radius),
+                bruteForceNearest(points, x, y, Infinity, radius),
+                `r=${radius} at (${x}, ${y})`
+            );
+        }
+    }
+});
+
+test('filtered nearest neighbors match a brute-force scan', () => {
+    const even = (point) => point.id % 2 === 0;
+    const clusterless = (point) => point.id < 3000 || point.id >= 3500;
+
+    for (const { x, y } of queries) {
+        for (const filter of [even, clusterless]) {
+            assertSameNearest(tree.nearest(x, y, 8, Infinity, filter), bruteForceNearest(points, x, y, 8, Infinity, filter), `${filter.name} at (${x}, ${y})`);
+        }
+    }
+});
+
+test('k of zero and an empty tree find nothing', () => {
+    assert.deepStrictEqual(tree.nearest(0, 0, 0), []);
+    assert.deepStrictEqual(new QuadTree(BOUNDS).nearest(0, 0, 5), []);
+});
+
+test('rectangle queries match a brute-force scan', () => {
+    for (const { x, y } of queries) {
+        for (const size of [0, 10, 500, 4000]) {
+            const range = { x: x - size / 2, y: y - size / 2, width: size, height: size * 0.75 };
+            const expected = points.filter(point =>
+                point.x >= range.x && point.x <= range.x + range.width &&
+                point.y >= range.y && point.y <= range.y + range.height
+            );
+
+            assert.deepStrictEqual(ids(tree.query(range)), ids(expected), `range ${JSON.stringify(range)}`);
+        }
+    }
+});
+
+test('removed points are gone from every query', () => {
+    const random = createRandom(23);
+    const points = createPoints(random);
+    const tree = buildTree(points);
+
+    // Every other point, including duplicates and points deep in the cluster
+    const removed = points.filter(point => point.id % 2 === 1);
+    for (const point of removed) {
+        assert.strictEqual(tree.remove(point), true, `remove ${point.id}`);
+    }
+    for (const point of removed.slice(0, 50)) {
+        assert.strictEqual(tree.remove(point), false, `remove ${point.id} twice`);
+    }
+    assert.strictEqual(tree.remove({ id: -1, x: 1234.5, y: 2345.5 }), false, 'a point never inserted');
+
+    const remaining = points.filter(point => point.id % 2 === 0);
+    assertMatchesBruteForce(tree, remaining, createQueries(random, remaining), 'after remove');
+});
+
+test('updated points are found at their new positions only', () => {
+    const random = createRandom(29);
+    const points = createPoints(random);
+    const tree = buildTree(points);
+
+    for (const point of points.filter(() => random() < 0.3)) {
+        const x = BOUNDS.x + random() * BOUNDS.width;
+        const y = BOUNDS.y + random() * BOUNDS.height;
+        assert.strictEqual(tree.update(point, x, y), true, `update ${point.id}`);
+        assert.deepStrictEqual({ x: point.x, y: point.y }, { x, y });
+    }
+
+    // Moves out of bounds are refused and leave the point where it was
+    const point = points[0];
+    const before = { x: point.x, y: point.y };
+    assert.strictEqual(tree.update(point, BOUNDS.x - 1, before.y), false);
+    assert.deepStrictEqual({ x: point.x, y: point.y }, before);
+
+    // A point that isn't in the tree isn't added by an update
+    const stranger = { id: -1, x: 10, y: 10 };
+    assert.strictEqual(tree.update(stranger, 20, 20), false);
+    assert.deepStrictEqual({ x: stranger.x, y: stranger.y }, { x: 10, y: 10 });
+
+    assertMatchesBruteForce(tree, points, createQueries(random, points), 'after update');
+});
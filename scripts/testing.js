@@ -0,0 +1,23 @@
+/**
+ * Testing.js - Shared helpers for the scripts/test-*.js suites
+ *
+ * The viewer's modules are classic browser scripts that define globals, so
+ * tests evaluate them in this process and pick out the global they need.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Evaluate js/<file> and return the global called name
+function loadBrowserScript(file, name) {
+    const source = fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+    return vm.runInThisContext(`${source}\n${name};`, { filename: path.join(ROOT, 'js', file) });
+}
+
+// Seeded generator shared with the clustering worker, so failures can be reproduced
+const createRandom = loadBrowserScript('random.js', 'createRandom');
+
+module.exports = { ROOT, loadBrowserScript, createRandom };